@@ -0,0 +1,407 @@
+// Canonical pretty-printer for the drum machine language
+// Turns source text, parsed ASTs or parser.extractData results back into source
+
+// parser.js is a plain script in the browser and a module under Node
+const formatterParser = typeof parser !== 'undefined' ? parser : require('./parser.js');
+
+// Indentation added for each level of nesting
+const FORMAT_INDENT = '  ';
+
+/**
+ * Create an AST atom for generated source
+ * @param {string} type - 'number', 'string' or 'symbol'
+ * @param {*} value - The atom's value
+ * @returns {Object} Atom without a source location
+ */
+const formatAtomNode = (type, value) => ({ type, value });
+
+/**
+ * Create an atom for a plain data value, quoting strings
+ * @param {*} value - Number or string
+ * @returns {Object} Number or string atom
+ */
+const formatValueNode = value =>
+    typeof value === 'number' ? formatAtomNode('number', value) : formatAtomNode('string', String(value));
+
+/**
+ * Create a symbol atom for a name that can be written bare, or a string atom otherwise
+ * @param {string} name - Sample or other name
+ * @returns {Object} Symbol or string atom
+ */
+const formatNameNode = name =>
+    /^[^\s();"]+$/.test(name) && isNaN(name) ? formatAtomNode('symbol', name) : formatAtomNode('string', name);
+
+const formatter = {
+    /**
+     * Format source text, a parsed AST or drum machine data
+     * @param {string|Array|Object} input - Source, forms from parser.parse, or data from parser.extractData
+     * @param {Object} options - Options for formatting data, see formatData
+     * @returns {string} Canonically indented source
+     */
+    format(input, options = {}) {
+        if (typeof input === 'string') {
+            return this.formatAst(formatterParser.parse(input));
+        }
+        if (Array.isArray(input)) {
+            return this.formatAst(input);
+        }
+        return this.formatData(input, options);
+    },
+
+    /**
+     * Format parsed forms, keeping their comments
+     * @param {Array} forms - Top-level forms from parser.parse
+     * @returns {string} Source with one blank line between top-level forms
+     */
+    formatAst(forms) {
+        const blocks = forms.map(form => {
+            const lines = (form.leadingComments || []).slice();
+            const trailing = form.trailingComment ? ` ${form.trailingComment}` : '';
+            lines.push(this.formatNode(form, '') + trailing);
+            return lines.join('\n');
+        });
+
+        if (forms.innerComments) {
+            blocks.push(forms.innerComments.join('\n'));
+        }
+
+        return blocks.join('\n\n') + '\n';
+    },
+
+    /**
+     * Format drum machine data as a drum-machine form
+     * Re-parsing the result gives the same data, arrangement ids included.
+     * @param {Object} data - Result of parser.extractData
+     * @param {Object} options - Formatting options
+     * @param {boolean} [options.patterns] - Write notes as (pattern "...") where a pattern can hold them
+     * @returns {string} Canonically indented source
+     */
+    formatData(data, options = {}) {
+        return this.formatAst([this.dataToAst(data, options)]);
+    },
+
+    // Build a drum-machine form from drum machine data
+    dataToAst(data, options = {}) {
+        const symbol = value => formatAtomNode('symbol', value);
+        const number = value => formatAtomNode('number', value);
+
+        const machine = [symbol('drum-machine')];
+        if (data.name !== null && data.name !== undefined) {
+            machine.push(formatValueNode(data.name));
+        }
+        const beatUnit = data.beatUnit || 4;
+        machine.push(symbol(':tempo'), number(data.tempo), symbol(':signature'),
+            beatUnit === 4 ? number(data.signature) : formatAtomNode('string', `${data.signature}/${beatUnit}`));
+        if (data.seed !== null && data.seed !== undefined) {
+            machine.push(symbol(':seed'), number(data.seed));
+        }
+        const pushGroove = (node, settings) => {
+            if (settings.swing !== null && settings.swing !== undefined) {
+                node.push(symbol(':swing'), number(settings.swing));
+            }
+            if (settings.groove !== null && settings.groove !== undefined) {
+                node.push(symbol(':groove'), formatAtomNode('string', settings.groove));
+            }
+        };
+        pushGroove(machine, data);
+        const pushHumanize = (node, settings) => {
+            if (settings.humanize !== null && settings.humanize !== undefined) {
+                node.push(symbol(':humanize'), number(settings.humanize));
+            }
+            if (settings.humanizeVolume !== null && settings.humanizeVolume !== undefined) {
+                node.push(symbol(':humanize-volume'), number(settings.humanizeVolume));
+            }
+        };
+        pushHumanize(machine, data);
+        const pushTempoMap = (node, tempoMap) => {
+            if (tempoMap) {
+                node.push([symbol('tempo-map'), ...tempoMap.map(point =>
+                    [symbol(point.ramp ? 'ramp' : 'at'), formatAtomNode('string', point.position), number(point.bpm)])]);
+            }
+        };
+        const effectToAst = effect => {
+            // The main option goes right after the name, the rest as keywords
+            const { positional, options } = formatterParser.effects[effect.type];
+            const effectNode = [symbol(effect.type)];
+            const main = effect.options[options[positional].name];
+            if (main !== undefined) {
+                effectNode.push(formatValueNode(main));
+            }
+            Object.entries(options).forEach(([keyword, option]) => {
+                if (keyword !== positional && effect.options[option.name] !== undefined) {
+                    effectNode.push(symbol(keyword), formatValueNode(effect.options[option.name]));
+                }
+            });
+            return effectNode;
+        };
+
+        Object.entries(data.grooves || {}).forEach(([name, offsets]) => {
+            machine.push([symbol('groove'), formatAtomNode('string', name), ...offsets.map(number)]);
+        });
+        (data.buses || []).forEach(bus => {
+            machine.push([symbol('bus'), formatAtomNode('string', bus.name), ...bus.effects.map(effectToAst)]);
+        });
+        pushTempoMap(machine, data.tempoMap);
+
+        if (data.song) {
+            const songNode = [symbol('song')];
+            if (data.song.loop) {
+                songNode.push(symbol(':loop'), number(1));
+            }
+            data.song.entries.forEach(entry => {
+                songNode.push([symbol('play'), formatAtomNode('string', entry.name), number(entry.repeat)]);
+            });
+            machine.push(songNode);
+        }
+
+        data.arrangements.forEach(arrangement => {
+            const arrangementNode = [symbol('arrangement')];
+            if (arrangement.name !== undefined) {
+                arrangementNode.push(formatAtomNode('string', arrangement.name));
+            }
+            arrangementNode.push(
+                symbol(':active'), number(arrangement.active ? 1 : 0),
+                symbol(':bars'), number(arrangement.bars),
+                symbol(':volume'), number(arrangement.volume)
+            );
+            if (arrangement.tempo !== undefined) {
+                arrangementNode.push(symbol(':tempo'), number(arrangement.tempo));
+            }
+            pushTempoMap(arrangementNode, arrangement.tempoMap);
+
+            arrangement.tracks.forEach(track => {
+                const trackNode = [
+                    symbol('track'),
+                    formatValueNode(track.name),
+                    formatNameNode(String(track.sample)),
+                    symbol(':active'), number(track.active ? 1 : 0),
+                    symbol(':bars'), number(track.bars),
+                    symbol(':time'), number(track.time),
+                    symbol(':volume'), number(track.volume)
+                ];
+                if (track.isSynth) {
+                    trackNode.push(symbol(':synth'), formatValueNode(track.synthType));
+                }
+                if (track.pan !== undefined) {
+                    trackNode.push(symbol(':pan'), number(track.pan));
+                }
+                ['mute', 'solo'].forEach(setting => {
+                    if (track[setting] !== undefined) {
+                        trackNode.push(symbol(`:${setting}`), number(track[setting] ? 1 : 0));
+                    }
+                });
+                Object.entries(track.sends || {}).forEach(([bus, level]) => {
+                    trackNode.push(symbol(`:send-${bus}`), number(level));
+                });
+                pushGroove(trackNode, track);
+                pushHumanize(trackNode, track);
+                if (track.effects) {
+                    trackNode.push([symbol('effects'), ...track.effects.map(effectToAst)]);
+                }
+
+                // Group pattern steps like the beats of the meter when the track divides them evenly
+                const groupSizes = formatterParser.meterGroups(data.signature, beatUnit)
+                    .map(beats => track.time * beats / data.signature);
+                const groupSize = groupSizes.every(size => Number.isInteger(size) && size > 1) ? groupSizes : 0;
+                const pattern = options.patterns ? formatterParser.notesToPattern(track.notes, groupSize) : null;
+                if (pattern !== null) {
+                    trackNode.push([symbol('pattern'), formatAtomNode('string', pattern)]);
+                    arrangementNode.push(trackNode);
+                    return;
+                }
+
+                const notesNode = [symbol('notes')];
+                track.notes.forEach(note => {
+                    const noteNode = [symbol('note'), symbol(':active'), number(note.active ? 1 : 0)];
+                    if (note.pitch) {
+                        noteNode.push(symbol(':pitch'), formatValueNode(note.pitch));
+                    }
+                    if (note.volume) {
+                        noteNode.push(symbol(':volume'), number(note.volume));
+                    }
+                    if (note.duration !== null && note.duration !== undefined) {
+                        noteNode.push(symbol(':duration'), formatValueNode(note.duration));
+                    }
+                    if (note.prob !== undefined) {
+                        noteNode.push(symbol(':prob'), number(note.prob));
+                    }
+                    if (note.every) {
+                        noteNode.push(symbol(':every'), formatAtomNode('string', `${note.every.index}:${note.every.cycle}`));
+                    }
+                    if (note.notFirst) {
+                        noteNode.push(symbol(':not-first'), number(1));
+                    }
+                    if (note.nudge) {
+                        noteNode.push(symbol(':nudge'), note.nudge.unit === 'ticks' ?
+                            formatAtomNode('string', `${note.nudge.amount}i`) :
+                            number(note.nudge.amount));
+                    }
+                    if (note.ratchet !== undefined) {
+                        noteNode.push(symbol(':ratchet'), number(note.ratchet));
+                    }
+                    if (note.ratchetDecay !== undefined) {
+                        noteNode.push(symbol(':ratchet-decay'), number(note.ratchetDecay));
+                    }
+                    notesNode.push(noteNode);
+                });
+                trackNode.push(notesNode);
+
+                arrangementNode.push(trackNode);
+            });
+
+            machine.push(arrangementNode);
+        });
+
+        return machine;
+    },
+
+    /**
+     * Set one keyword of a track in source text, leaving the rest of the text as written
+     * The value is replaced where the keyword is written, or the keyword is added after the
+     * track's sample. A null value removes the keyword.
+     * @param {string} source - Source holding the playing drum machine
+     * @param {string} arrangementId - Id of the track's arrangement, from parser.extractData
+     * @param {number} trackIndex - Index of the track in its arrangement
+     * @param {string} keyword - Keyword to set, e.g. ':pan'
+     * @param {number|string|null} value - Value to write, or null to remove the keyword
+     * @returns {string|null} The edited source, or null when the track's text can't be found
+     */
+    setTrackOption(source, arrangementId, trackIndex, keyword, value) {
+        const machine = formatterParser.selectDrumMachine(formatterParser.parse(source), []);
+        if (!machine) return null;
+
+        const isForm = (node, head) => Array.isArray(node) && node[0] && node[0].value === head;
+        const arrangementNode = machine.filter((node, i) => i >= 2 && isForm(node, 'arrangement')).find((node, n) =>
+            `arr_${n + 1}` === arrangementId || (node[1] && node[1].type === 'string' && `arr_name_${node[1].value}` === arrangementId));
+        const trackNode = arrangementNode && arrangementNode.filter(node => isForm(node, 'track'))[trackIndex];
+        // A track or value brought in by a definition isn't written inside the drum machine
+        const inside = node => node && node.loc && node.loc.start.offset >= trackNode.loc.start.offset &&
+            node.loc.end.offset <= trackNode.loc.end.offset;
+        if (!trackNode || !inside(trackNode[2]) || !machine.loc ||
+            trackNode.loc.start.offset < machine.loc.start.offset || trackNode.loc.end.offset > machine.loc.end.offset) {
+            return null;
+        }
+
+        const splice = (start, end, text) => source.slice(0, start) + text + source.slice(end);
+        const keywordIndex = trackNode.findIndex((node, i) => i > 0 && node.type === 'symbol' && node.value === keyword);
+        const valueNode = keywordIndex > 0 ? trackNode[keywordIndex + 1] : undefined;
+        const text = value === null ? null : this.formatAtom(formatValueNode(value));
+
+        if (keywordIndex > 0 && !inside(valueNode)) {
+            return null;
+        }
+        if (keywordIndex > 0) {
+            if (text !== null) {
+                return splice(valueNode.loc.start.offset, valueNode.loc.end.offset, text);
+            }
+            // Take the space before the keyword along with it
+            const keywordStart = trackNode[keywordIndex].loc.start.offset;
+            const start = source.slice(0, keywordStart).search(/[ \t]*$/);
+            return splice(start, valueNode.loc.end.offset, '');
+        }
+        if (text === null) {
+            return source;
+        }
+        return splice(trackNode[2].loc.end.offset, trackNode[2].loc.end.offset, ` ${keyword} ${text}`);
+    },
+
+    // Format an atom as source text
+    formatAtom(node) {
+        if (node.type === 'string') {
+            const escaped = node.value
+                .replace(/\\/g, '\\\\')
+                .replace(/"/g, '\\"')
+                .replace(/\n/g, '\\n')
+                .replace(/\t/g, '\\t');
+            return `"${escaped}"`;
+        }
+        return String(node.value);
+    },
+
+    // Whether a node is a (quote expr) list that can be written as 'expr
+    isQuote(node) {
+        return Array.isArray(node) && !node.vector && node.length === 2 &&
+            !Array.isArray(node[0]) && node[0].type === 'symbol' && node[0].value === 'quote';
+    },
+
+    // Whether a node reads as a single word: an atom, a quoted one or a vector of them
+    isSimple(node, allowTrailingComment = false) {
+        if (node.leadingComments || (node.trailingComment && !allowTrailingComment)) return false;
+        if (!Array.isArray(node)) return true;
+        if (this.isQuote(node)) return this.isSimple(node[1]);
+        return node.vector === true && this.fitsOnOneLine(node);
+    },
+
+    // Whether a list can be written on a single line
+    // Vectors may also hold lists that fit on one line, as in [beat (/ 60 tempo)]
+    fitsOnOneLine(node) {
+        return !node.innerComments && node.every(child => this.isSimple(child) ||
+            (node.vector && Array.isArray(child) && !child.leadingComments && !child.trailingComment &&
+                this.fitsOnOneLine(child)));
+    },
+
+    /**
+     * Format a node
+     * Lists holding only atoms stay on one line. Other lists keep their leading
+     * atoms on the opening line, put every other child on its own line (a keyword
+     * stays with its value) and close on a line of their own. (quote expr) is
+     * written as 'expr and vectors keep their brackets.
+     * @param {Array|Object} node - List or atom
+     * @param {string} indent - Indentation of the line the node starts on
+     * @returns {string} Source whose first line is not indented
+     */
+    formatNode(node, indent) {
+        if (!Array.isArray(node)) {
+            return this.formatAtom(node);
+        }
+        if (this.isQuote(node) && !node[1].leadingComments) {
+            return `'${this.formatNode(node[1], indent)}`;
+        }
+
+        const [open, close] = node.vector ? ['[', ']'] : ['(', ')'];
+        if (this.fitsOnOneLine(node)) {
+            return `${open}${node.map(child => this.formatNode(child, indent)).join(' ')}${close}`;
+        }
+
+        const childIndent = indent + FORMAT_INDENT;
+        let opening = open;
+        let i = 0;
+        while (i < node.length && this.isSimple(node[i], true)) {
+            opening += (i > 0 ? ' ' : '') + this.formatNode(node[i], childIndent);
+            i++;
+            if (node[i - 1].trailingComment) {
+                opening += ` ${node[i - 1].trailingComment}`;
+                break;
+            }
+        }
+
+        const lines = [opening];
+        while (i < node.length) {
+            const child = node[i];
+            let last = child;
+            let text = this.formatNode(child, childIndent);
+
+            // Keep a keyword on the same line as its value
+            const value = node[i + 1];
+            if (!Array.isArray(child) && child.type === 'symbol' && child.value.startsWith(':') &&
+                !child.trailingComment && value !== undefined && !value.leadingComments) {
+                text += ` ${this.formatNode(value, childIndent)}`;
+                last = value;
+                i++;
+            }
+
+            (child.leadingComments || []).forEach(comment => lines.push(childIndent + comment));
+            lines.push(childIndent + text + (last.trailingComment ? ` ${last.trailingComment}` : ''));
+            i++;
+        }
+
+        (node.innerComments || []).forEach(comment => lines.push(childIndent + comment));
+        lines.push(`${indent}${close}`);
+        return lines.join('\n');
+    }
+};
+
+// Export the formatter for use in other modules
+if (typeof module !== 'undefined') {
+    module.exports = formatter;
+}
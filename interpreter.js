@@ -459,7 +459,8 @@ const evalString = (expr, env) => {
  * @returns {*} The result of evaluating the special form
  */
 const evalSpecialForm = (expr, env) => {
-  const [form, ...rest] = expr;
+  const [head, ...rest] = expr;
+  const form = extractValue(head);
 
   switch (form) {
     case 'quote':
@@ -492,7 +493,7 @@ const evalLet = (args, env) => {
   const [quotedBindings, ...body] = args;
 
   // Handle the quoted bindings list
-  const bindingPairs = quotedBindings[0] === 'quote' ?
+  const bindingPairs = extractValue(quotedBindings[0]) === 'quote' ?
     quotedBindings[1] :
     evaluate(quotedBindings, env);
 
@@ -500,7 +501,7 @@ const evalLet = (args, env) => {
   const newEnv = bindingPairs.reduce((acc, binding) => {
     const [name, valueExpr] = binding;
     const value = evaluate(valueExpr, acc);
-    return extendEnv(acc, { [name]: value });
+    return extendEnv(acc, { [extractValue(name)]: value });
   }, env);
 
   // Evaluate body expressions in sequence
@@ -517,7 +518,7 @@ const evalLambda = (args, env) => {
   const [params, ...body] = args;
   return function(...functionArgs) {
     const newEnv = params.reduce((acc, param, i) =>
-      extendEnv(acc, { [param]: functionArgs[i] }), env);
+      extendEnv(acc, { [extractValue(param)]: functionArgs[i] }), env);
     return body.reduce((_, expr) => evaluate(expr, newEnv), null);
   };
 };
@@ -542,12 +543,13 @@ const evalIf = (args, env) => {
  * @returns {*} The result of applying the function
  */
 const evalApplication = (expr, env) => {
-  const [first, ...rest] = expr;
+  const [head, ...rest] = expr;
+  const first = extractValue(head);
 
   // Function application
   const fn = first in primitives ?
     primitives[first] :
-    evaluate(first, env);
+    evaluate(head, env);
 
   // Process arguments, handling both regular and named args
   const { regularArgs, namedArgs } = processArgs(rest);
@@ -625,6 +627,11 @@ const evaluate = (expr, env) => {
 
     // Arrays represent function calls or special forms
     if (Array.isArray(expr)) {
+      // Vector literals evaluate to an array of their evaluated items
+      if (expr.vector) {
+        return expr.map(item => evaluate(item, env));
+      }
+
       if (expr.length === 0) {
         return [];
       }
@@ -647,7 +654,7 @@ const evaluate = (expr, env) => {
     }
     
     const context = Array.isArray(expr) ? 
-      `in expression (${expr[0]} ...)` : 
+      `in expression (${extractValue(expr[0])} ...)` : 
       `with value ${JSON.stringify(expr)}`;
       
     throw new Error(`Evaluation error ${context}: ${err.message}`);
@@ -34,7 +34,7 @@ function initializeEditor() {
     // Set up editor with line numbers
     jar = CodeJar(editorElement, highlight, {
         tab: '  ',
-        indentOn: /[(]$/,
+        indentOn: /[([]$/,
         catchTab: false // Disable CodeJar's built-in tab handling so we can handle it ourselves
     });
     withLineNumbers(jar, {
@@ -105,6 +105,23 @@ function initializeEditor() {
             event.preventDefault();
             expandMacroOnCurrentLine();
         }
+        
+        // Ctrl+Shift+F to format the buffer
+        if (event.ctrlKey && event.shiftKey && event.key.toLowerCase() === 'f') {
+            event.preventDefault();
+            formatBuffer();
+        }
+        
+        // Alt+1 to Alt+9 to cue the named arrangements in order
+        const digit = event.code.match(/^Digit([1-9])$/);
+        if (event.altKey && digit) {
+            event.preventDefault();
+            const named = drumMachineData ? drumMachineData.arrangements.filter(arr => arr.name !== undefined) : [];
+            const arrangement = named[Number(digit[1]) - 1];
+            if (arrangement) {
+                cueArrangement(arrangement.name);
+            }
+        }
     });
 }
 
@@ -262,6 +279,8 @@ function initializeAudioControls() {
     const testButton = document.getElementById('test-audio');
     const runButton = document.getElementById('run');
     const debugButton = document.getElementById('debug-macro');
+    const formatButton = document.getElementById('format');
+    const quantizeSelect = document.getElementById('quantize');
 
     if (testButton) {
         testButton.addEventListener('click', initializeAudioContext);
@@ -276,6 +295,232 @@ function initializeAudioControls() {
     if (debugButton) {
         debugButton.addEventListener('click', debugMacros);
     }
+    
+    if (formatButton) {
+        formatButton.addEventListener('click', formatBuffer);
+    }
+    
+    if (quantizeSelect) {
+        quantizeSelect.value = player.quantize;
+        quantizeSelect.addEventListener('change', () => player.setQuantize(quantizeSelect.value));
+    }
+    
+    window.addEventListener('songChange', event => showSongPosition(event.detail));
+    window.addEventListener('arrangementChange', event => {
+        showLauncherState(event.detail);
+        if (drumMachineData) {
+            updateMixer(drumMachineData);
+        }
+    });
+}
+
+/**
+ * Rebuild the launcher buttons for the named arrangements
+ * @param {Object} data - Drum machine data from parser.extractData
+ */
+function updateLauncher(data) {
+    const launcher = document.getElementById('launcher');
+    if (!launcher) return;
+
+    const names = data.arrangements.filter(arr => arr.name !== undefined).map(arr => arr.name);
+    const current = Array.from(launcher.children).map(button => button.dataset.name);
+    if (names.join('\n') === current.join('\n')) return;
+
+    launcher.replaceChildren(...names.map((name, i) => {
+        const button = document.createElement('button');
+        button.className = 'launch-button';
+        button.dataset.name = name;
+        button.textContent = name;
+        if (i < 9) {
+            button.title = `Alt+${i + 1}`;
+        }
+        button.addEventListener('click', () => cueArrangement(name));
+        return button;
+    }));
+}
+
+/**
+ * Cue a named arrangement to play from the next bar
+ * @param {string} name - Name of the arrangement
+ */
+function cueArrangement(name) {
+    if (drumMachineData && player.cue(name, drumMachineData)) {
+        showMessage(`Cued ${name}`, 1000);
+    }
+}
+
+/**
+ * Mark the launcher buttons of the playing and cued arrangements
+ * @param {Object} state - { playing, cued } arrangement names from the player, each null when there is none
+ */
+function showLauncherState(state) {
+    document.querySelectorAll('.launch-button').forEach(button => {
+        button.classList.toggle('playing', button.dataset.name === state.playing);
+        button.classList.toggle('cued', button.dataset.name === state.cued);
+    });
+}
+
+/**
+ * Show the tracks of the arrangement that plays in the mixer
+ * The strips are only rebuilt when the tracks change, so a fader being dragged stays in hand.
+ * @param {Object} data - Drum machine data from parser.extractData
+ */
+function updateMixer(data) {
+    const strips = document.getElementById('mixer-strips');
+    if (!strips) return;
+
+    const arrangement = player.playingArrangement(data);
+    const tracks = arrangement ? arrangement.tracks : [];
+    const trackIds = timeline.trackIds(tracks);
+    const key = arrangement ? [arrangement.id, ...trackIds].join('\n') : '';
+    if (strips.dataset.key !== key) {
+        strips.dataset.key = key;
+        strips.replaceChildren(...tracks.map((track, i) => createMixerStrip(arrangement.id, i, trackIds[i], track.name)));
+    }
+    Array.from(strips.children).forEach((strip, i) => showMixerStrip(strip, tracks[i]));
+}
+
+/**
+ * Create the mixer strip of a track, with its fader, pan and mute and solo buttons
+ * @param {string} arrangementId - Id of the track's arrangement
+ * @param {number} trackIndex - Index of the track in its arrangement
+ * @param {string} trackId - Id of the track in the player
+ * @param {string} name - Name shown on the strip
+ * @returns {HTMLElement} The strip
+ */
+function createMixerStrip(arrangementId, trackIndex, trackId, name) {
+    const strip = document.createElement('div');
+    strip.className = 'mixer-strip';
+    strip.dataset.arrangement = arrangementId;
+    strip.dataset.index = trackIndex;
+    strip.dataset.track = trackId;
+
+    const label = document.createElement('span');
+    label.className = 'mixer-name';
+    label.textContent = name;
+
+    const slider = (className, title, min, max, step) => {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = className;
+        input.title = title;
+        Object.assign(input, { min, max, step });
+        return input;
+    };
+    const volume = slider('mixer-volume', 'Volume', -10, 10, 0.5);
+    volume.addEventListener('input', () => mixTrack(strip, { volume: Number(volume.value) }));
+    volume.addEventListener('change', () => writeMix(strip, ':volume', Number(volume.value)));
+
+    // Centered pan is the default, so it is taken out of the source
+    const pan = slider('mixer-pan', 'Pan', -1, 1, 0.05);
+    pan.addEventListener('input', () => mixTrack(strip, { pan: Number(pan.value) }));
+    pan.addEventListener('change', () => writeMix(strip, ':pan', Number(pan.value) === 0 ? null : Number(pan.value)));
+    pan.addEventListener('dblclick', () => {
+        pan.value = 0;
+        mixTrack(strip, { pan: 0 });
+        writeMix(strip, ':pan', null);
+    });
+
+    const toggle = (className, text, setting) => {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.title = setting === 'mute' ? 'Mute' : 'Solo';
+        button.addEventListener('click', () => {
+            const on = !button.classList.contains('on');
+            mixTrack(strip, { [setting]: on });
+            writeMix(strip, `:${setting}`, on ? 1 : null);
+        });
+        return button;
+    };
+
+    strip.append(label, volume, pan, toggle('mixer-mute', 'M', 'mute'), toggle('mixer-solo', 'S', 'solo'));
+    return strip;
+}
+
+/**
+ * Show a track's mix on its strip, leaving alone a control that is in use
+ * @param {HTMLElement} strip - Strip from createMixerStrip
+ * @param {Object} track - Track from the drum machine data
+ */
+function showMixerStrip(strip, track) {
+    const volume = strip.querySelector('.mixer-volume');
+    const pan = strip.querySelector('.mixer-pan');
+    if (volume !== document.activeElement) {
+        volume.value = track.volume;
+    }
+    if (pan !== document.activeElement) {
+        pan.value = track.pan || 0;
+    }
+    strip.querySelector('.mixer-mute').classList.toggle('on', track.mute === true);
+    strip.querySelector('.mixer-solo').classList.toggle('on', track.solo === true);
+}
+
+/**
+ * Change a track's mix from its mixer strip
+ * The change is kept in the current data, so it lasts until the source is next parsed.
+ * @param {HTMLElement} strip - Strip from createMixerStrip
+ * @param {Object} mix - Any of volume, pan, mute and solo
+ */
+function mixTrack(strip, mix) {
+    const arrangement = drumMachineData && drumMachineData.arrangements.find(arr => arr.id === strip.dataset.arrangement);
+    const track = arrangement && arrangement.tracks[Number(strip.dataset.index)];
+    if (!track) return;
+
+    Object.assign(track, mix);
+    player.mixTrack(strip.dataset.track, mix);
+    showMixerStrip(strip, track);
+}
+
+/**
+ * Write a mixer change into the source when "Write to code" is checked
+ * @param {HTMLElement} strip - Strip from createMixerStrip
+ * @param {string} keyword - Track keyword, e.g. ':pan'
+ * @param {number|null} value - Value to write, or null to take the keyword out
+ */
+function writeMix(strip, keyword, value) {
+    const writeBox = document.getElementById('mixer-write');
+    if (!writeBox || !writeBox.checked) return;
+
+    const code = jar.toString();
+    const rounded = value === null ? null : Math.round(value * 100) / 100;
+    const edited = formatter.setTrackOption(code, strip.dataset.arrangement, Number(strip.dataset.index), keyword, rounded);
+    if (edited === null) {
+        showMessage(`Can't write ${keyword} into the code for this track`, 2000);
+        return;
+    }
+    if (edited !== code) {
+        jar.updateCode(edited);
+        parseCode(edited);
+    }
+}
+
+/**
+ * Show which song entry and loop is playing
+ * @param {Object|null} position - Song position from the player, or null when no song is playing
+ */
+function showSongPosition(position) {
+    const positionElement = document.getElementById('song-position');
+    if (!positionElement) return;
+
+    positionElement.textContent = position ?
+        `${position.name} ${position.repeat + 1}/${position.repeats} (${position.index + 1} of ${position.entries}${position.loop ? ', looping' : ''})` :
+        '';
+}
+
+/**
+ * Rewrite the editor buffer in canonical form, keeping comments
+ */
+function formatBuffer() {
+    try {
+        const formatted = formatter.format(jar.toString());
+        jar.updateCode(formatted);
+        parseCode(formatted);
+        showMessage('Buffer formatted', 1000);
+    } catch (e) {
+        console.error('Format error:', e);
+        showError(e.message);
+    }
 }
 
 /**
@@ -312,12 +557,29 @@ async function initializeAudioContext() {
 function parseCode(code) {
     try {
         console.log('Parsing code...');
+        // The buffer may hold definitions and several machines, extractData picks the one to play
         const ast = parser.parse(code);
-        drumMachineData = parser.extractData(ast);
-        console.log('Parsed data:', drumMachineData);
-        hideError();
+        const data = parser.extractData(ast, {
+            samples: Object.keys(player.samples),
+            synthTypes: player.synthTypes
+        });
+        console.log('Parsed data:', data);
         
-        // If transport is running, schedule update
+        // Keep playing the last good data until every error is fixed
+        const { diagnostics } = data;
+        if (diagnostics.length > 0) {
+            showError(diagnostics.map(formatDiagnostic).join('\n'));
+        } else {
+            hideError();
+        }
+        if (diagnostics.some(d => d.severity === 'error')) {
+            return;
+        }
+        drumMachineData = data;
+        updateLauncher(data);
+        updateMixer(data);
+        
+        // If transport is running, stage the update for the next quantize boundary
         if (Tone.Transport && Tone.Transport.state === 'started') {
             player.update(drumMachineData);
         }
@@ -359,6 +621,18 @@ function executeCode(code) {
     }
 }
 
+/**
+ * Format a parser diagnostic as a single line
+ * @param {Object} diagnostic - Diagnostic from parser.extractData
+ * @returns {string} Location, severity and message
+ */
+function formatDiagnostic(diagnostic) {
+    const location = diagnostic.loc ?
+        `Line ${diagnostic.loc.start.line}:${diagnostic.loc.start.column} ` :
+        '';
+    return `${location}${diagnostic.severity}: ${diagnostic.message}`;
+}
+
 /**
  * Show an error message
  * @param {string} message - The error message to display
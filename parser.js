@@ -1,5 +1,19 @@
 // Lisp-like syntax parser
 // Converts string input into nested arrays representing the AST
+//
+// parse returns every top-level form in the input, in order.
+//
+// Lists are arrays, atoms are { type, value } tokens ('number', 'string' or
+// 'symbol'). Vector literals `[a b c]` are arrays with `vector: true`, and the
+// reader turns `'expr` into `(quote expr)`. Every list and atom carries a `loc` of the form
+// { start: { line, column, offset }, end: { line, column, offset } }, with
+// 1-based lines and columns, 0-based offsets and an exclusive end.
+//
+// Comments are kept on the nodes around them so the source can be formatted
+// again: `leadingComments` for the lines above a node, `trailingComment` for a
+// comment at the end of the line a node ends on, and `innerComments` for
+// comments left before a list's closing parenthesis (or at the end of input,
+// on the top-level list).
 
 // Custom error for parser issues
 class ParserError extends Error {
@@ -14,159 +28,1409 @@ class ParserError extends Error {
     }
 }
 
+// Commas separate items like whitespace, so ["C4", "E4"] reads as ["C4" "E4"]
+const SEPARATORS = /[\s,]/;
+
+// Characters that end a bare atom
+const ATOM_DELIMITERS = /[\s,()[\];"]/;
+
+// Closing bracket expected by each opening bracket
+const CLOSING_BRACKETS = { '(': ')', '[': ']' };
+
+// Characters produced by backslash escapes inside string literals
+const STRING_ESCAPES = { n: '\n', t: '\t', '"': '"', '\\': '\\' };
+
 /**
- * Calculate line and column number from position in a string
+ * Get a short excerpt of the input around an offset for error messages
  * @param {string} input - The input string
- * @param {number} position - The current position in the string
- * @returns {Object} Object with line and column properties
+ * @param {number} offset - The offset to center the excerpt on
+ * @returns {string} Up to 10 characters either side of the offset
+ */
+const sourceContext = (input, offset) =>
+    input.slice(Math.max(0, offset - 10), offset + 10);
+
+/**
+ * Turn an atom token into an AST atom
+ * @param {Object} token - Atom token from tokenize
+ * @returns {Object} Atom with type, value and loc
+ */
+const createAtom = ({ type, text, value, loc }) => {
+    if (type === 'string') {
+        return { type: 'string', value, loc };
+    }
+    if (!isNaN(text)) {
+        return { type: 'number', value: Number(text), loc };
+    }
+    return { type: 'symbol', value: text, loc };
+};
+
+/**
+ * Unwrap an AST atom to its plain value, leaving lists and plain values as they are
+ * @param {*} node - AST node
+ * @returns {*} The atom's value, or the node itself
+ */
+const atomValue = node =>
+    node && typeof node === 'object' && !Array.isArray(node) && 'value' in node ? node.value : node;
+
+// Effects a track can chain with (effects ...). Each keyword sets a Tone.js option within a range,
+// the positional keyword is the one a value right after the effect's name sets, as in (delay "8n"),
+// and `time` options also take Tone.js times like "8n"
+const EFFECTS = {
+    'reverb': {
+        positional: ':decay',
+        options: {
+            ':decay': { name: 'decay', min: 0.01, max: 60, default: 1.5 },
+            ':pre-delay': { name: 'preDelay', min: 0, max: 1, default: 0.01 },
+            ':wet': { name: 'wet', min: 0, max: 1, default: 1 }
+        }
+    },
+    'delay': {
+        positional: ':time',
+        options: {
+            ':time': { name: 'delayTime', min: 0, max: 4, default: 0.25, time: true },
+            ':feedback': { name: 'feedback', min: 0, max: 0.95, default: 0.125 },
+            ':wet': { name: 'wet', min: 0, max: 1, default: 1 }
+        }
+    },
+    'chorus': {
+        positional: ':frequency',
+        options: {
+            ':frequency': { name: 'frequency', min: 0.01, max: 20, default: 1.5 },
+            ':delay-time': { name: 'delayTime', min: 0, max: 20, default: 3.5 },
+            ':depth': { name: 'depth', min: 0, max: 1, default: 0.7 },
+            ':wet': { name: 'wet', min: 0, max: 1, default: 1 }
+        }
+    },
+    'distortion': {
+        positional: ':amount',
+        options: {
+            ':amount': { name: 'distortion', min: 0, max: 1, default: 0.4 },
+            ':wet': { name: 'wet', min: 0, max: 1, default: 1 }
+        }
+    }
+};
+
+// Tone.js times an effect's time option can be written as, like "8n", "8n." or "8t"
+const EFFECT_TIME = /^\d+[nt]\.?$/;
+
+// Tracks send to a bus with :send-<bus name>, e.g. :send-verb 0.3
+const SEND_PREFIX = ':send-';
+
+// Keywords accepted by each drum machine form (see "Parameter Hierarchy" in spec.md)
+const KEYWORD_SCHEMA = {
+    'drum-machine': [':active', ':tempo', ':signature', ':seed', ':swing', ':groove', ':humanize', ':humanize-volume'],
+    'arrangement': [':active', ':bars', ':volume', ':tempo'],
+    'track': [':active', ':bars', ':time', ':volume', ':pan', ':mute', ':solo', ':synth', ':swing', ':groove', ':humanize', ':humanize-volume'],
+    'note': [':active', ':pitch', ':volume', ':duration', ':prob', ':every', ':not-first', ':nudge', ':ratchet', ':ratchet-decay'],
+    'pattern': [],
+    'euclid': [':rotate'],
+    'groove': [],
+    'tempo-map': [],
+    'at': [],
+    'ramp': [],
+    'song': [':loop'],
+    'play': [],
+    'effects': [],
+    'bus': [],
+    ...Object.fromEntries(Object.entries(EFFECTS).map(([type, effect]) => [type, Object.keys(effect.options)]))
+};
+
+// Forms that can give a track its notes
+const NOTE_SOURCES = ['notes', 'pattern', 'euclid'];
+
+// Step characters in (pattern "..."): a rest, a hit and an accented hit
+const PATTERN_REST = '.';
+const PATTERN_HIT = 'x';
+const PATTERN_ACCENT = 'X';
+
+// Volume added to accented hits
+const PATTERN_ACCENT_VOLUME = 0.5;
+
+// Characters that only group steps visually, like "x...|x..."
+const PATTERN_SEPARATORS = /[\s|]/;
+
+// How late :swing 100 plays every second step, in steps: the off-beat of a triplet shuffle
+const SWING_MAX_OFFSET = 1 / 3;
+
+/**
+ * Groove of an MPC swing setting, which places every second step at a percentage of the step pair
+ * @param {number} percent - 50 for straight time up to 75 for the heaviest swing
+ * @returns {Array} Offsets of the two steps, in steps
+ */
+const mpcGroove = percent => [0, percent / 50 - 1];
+
+// Built-in grooves for :groove, as offsets in steps repeating over a track's steps
+const GROOVES = {
+    'straight': [0],
+    'shuffle': [0, SWING_MAX_OFFSET],
+    'mpc-54': mpcGroove(54),
+    'mpc-58': mpcGroove(58),
+    'mpc-62': mpcGroove(62),
+    'mpc-66': mpcGroove(66),
+    'mpc-71': mpcGroove(71),
+    'mpc-75': mpcGroove(75)
+};
+
+// Transport positions a tempo map point can be at: bars ("4m") or bars:beats:sixteenths ("4:2:0")
+const TEMPO_POSITION = /^\d+(\.\d+)?m$|^\d+:\d+(\.\d+)?(:\d+(\.\d+)?)?$/;
+
+// Note values a time signature can count in, the bottom number of "6/8"
+const BEAT_UNITS = [2, 4, 8, 16];
+
+// Most repeats a :ratchet can fit into one step
+const RATCHET_MAX = 16;
+
+// Largest :humanize timing amount in milliseconds, kept well inside the scheduler's lookahead
+const HUMANIZE_MAX_MS = 50;
+
+// Leading arguments that name things rather than take values, so definitions never replace them
+const NAME_SLOTS = { 'drum-machine': 1, arrangement: 1, track: 2 };
+
+/**
+ * Volume of a hit written as a digit in a pattern: 0 is -1, 5 is neutral, 9 is 0.8
+ * @param {number} digit - Digit from 0 to 9
+ * @returns {number} Note volume
+ */
+const patternDigitVolume = digit => (digit - 5) / 5;
+
+/**
+ * Create a diagnostic describing a problem in the source
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} code - Stable identifier for the kind of problem
+ * @param {string} message - Human readable description
+ * @param {*} node - AST node the problem refers to, used for its location
+ * @param {Object} extra - Additional fields, such as a suggested replacement
+ * @returns {Object} Diagnostic with severity, code, message and loc
+ */
+const createDiagnostic = (severity, code, message, node, extra = {}) => ({
+    severity,
+    code,
+    message,
+    loc: (node && node.loc) || null,
+    ...extra
+});
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single character edits to turn a into b
  */
-const getLineAndColumn = (input, position) => {
-    const lines = input.slice(0, position).split('\n');
-    return {
-        line: lines.length,
-        column: lines[lines.length - 1].length + 1
-    };
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
 };
 
 /**
- * Remove comments and normalize whitespace
- * @param {string} input - The raw input string
- * @returns {string} Preprocessed string with comments removed and whitespace normalized
+ * Find the closest candidate to a misspelled word
+ * @param {string} word - The misspelled word
+ * @param {string[]} candidates - Valid words
+ * @returns {string|null} Closest candidate, or null if none is close enough
  */
-const preprocess = input => 
-    input.replace(/;[^\n]*/g, '')  // Remove comments
-         .trim();
+const closestMatch = (word, candidates) => {
+    const maxDistance = Math.max(2, Math.floor(word.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(candidate => {
+        const distance = editDistance(word, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return bestDistance <= maxDistance ? best : null;
+};
 
 // Parser object with methods for parsing the Lisp-like syntax
 const parser = {
-    // Tokenize input string into array of tokens
+    atomValue,
+    keywordSchema: KEYWORD_SCHEMA,
+
+    // Built-in grooves by name
+    grooves: GROOVES,
+
+    // Effects (effects ...) can chain, by name
+    effects: EFFECTS,
+
+    // Tokenize input string into an array of { type, text, loc } tokens
+    // String tokens also carry their unescaped `value`
     tokenize(input) {
+        const tokens = [];
+        let offset = 0;
+        let line = 1;
+        let column = 1;
+
+        const position = () => ({ line, column, offset });
+        const advance = () => {
+            if (input[offset] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            offset++;
+        };
+
         try {
-            return preprocess(input)
-                .replace(/[()]/g, ' $& ')
-                .trim()
-                .split(/\s+/)
-                .filter(token => token.length > 0);
+            while (offset < input.length) {
+                const char = input[offset];
+
+                // Skip whitespace
+                if (SEPARATORS.test(char)) {
+                    advance();
+                    continue;
+                }
+
+                const start = position();
+
+                // Comments run up to the end of the line
+                if (char === ';') {
+                    while (offset < input.length && input[offset] !== '\n') advance();
+                    tokens.push({
+                        type: 'comment',
+                        text: input.slice(start.offset, offset).trimEnd(),
+                        loc: { start, end: position() }
+                    });
+                    continue;
+                }
+
+                if ('()[]\''.includes(char)) {
+                    advance();
+                    let type = 'quote';
+                    if (char === '(' || char === '[') type = 'open';
+                    if (char === ')' || char === ']') type = 'close';
+                    tokens.push({ type, text: char, loc: { start, end: position() } });
+                    continue;
+                }
+
+                // Strings run to the next unescaped quote and may contain spaces
+                if (char === '"') {
+                    let value = '';
+                    advance();
+                    while (offset < input.length && input[offset] !== '"') {
+                        if (input[offset] === '\\' && offset + 1 < input.length) {
+                            advance();
+                            const escaped = input[offset];
+                            value += escaped in STRING_ESCAPES ? STRING_ESCAPES[escaped] : escaped;
+                        } else {
+                            value += input[offset];
+                        }
+                        advance();
+                    }
+                    if (offset >= input.length) {
+                        throw new ParserError("Unterminated string", start.line, start.column, sourceContext(input, start.offset));
+                    }
+                    advance();
+                    tokens.push({
+                        type: 'string',
+                        text: input.slice(start.offset, offset),
+                        value,
+                        loc: { start, end: position() }
+                    });
+                    continue;
+                }
+
+                // Anything else runs until the next delimiter
+                while (offset < input.length && !ATOM_DELIMITERS.test(input[offset])) advance();
+                tokens.push({
+                    type: 'atom',
+                    text: input.slice(start.offset, offset),
+                    loc: { start, end: position() }
+                });
+            }
+
+            return tokens;
         } catch (e) {
-            const { line, column } = getLineAndColumn(input, 0);
-            throw new ParserError(`Tokenization error: ${e.message}`, line, column, input.slice(0, 20) + '...');
+            if (e instanceof ParserError) throw e;
+
+            throw new ParserError(`Tokenization error: ${e.message}`, line, column, sourceContext(input, offset));
         }
     },
 
-    // Parse tokens into nested structure
+    // Parse tokens into nested structure, returning the list of top-level forms
     parse(input) {
         try {
             const tokens = this.tokenize(input);
             const ast = [];
             let current = ast;
-            const stack = [current];
-            let position = 0;
+            const stack = [];
+            let pendingComments = [];
+
+            // (quote ...) lists opened by ' close as soon as they hold their expression
+            const quoteLists = new WeakSet();
+            const closeQuotes = () => {
+                while (quoteLists.has(current) && current.length === 2) {
+                    current.loc.end = current[1].loc.end;
+                    current = stack.pop();
+                }
+            };
+
+            // Hand comments seen since the last node to the next one
+            const pushNode = node => {
+                if (pendingComments.length > 0) {
+                    node.leadingComments = pendingComments;
+                    pendingComments = [];
+                }
+                current.push(node);
+            };
+
+            const openList = (token, list) => {
+                list.loc = { start: token.loc.start, end: token.loc.end };
+                pushNode(list);
+                stack.push(current);
+                current = list;
+            };
 
             tokens.forEach(token => {
-                if (token === '(') {
+                if (token.type === 'comment') {
+                    const previous = current[current.length - 1];
+                    if (previous && pendingComments.length === 0 && !previous.trailingComment &&
+                        previous.loc.end.line === token.loc.start.line) {
+                        previous.trailingComment = token.text;
+                    } else {
+                        pendingComments.push(token.text);
+                    }
+                } else if (token.type === 'quote') {
+                    const quoteList = [{ type: 'symbol', value: 'quote', loc: token.loc }];
+                    quoteLists.add(quoteList);
+                    openList(token, quoteList);
+                } else if (token.type === 'open') {
                     const newList = [];
-                    current.push(newList);
-                    stack.push(current);
-                    current = newList;
-                } else if (token === ')') {
-                    if (stack.length <= 1) {
-                        const { line, column } = getLineAndColumn(input, position);
-                        throw new ParserError("Unexpected closing parenthesis", line, column, input.slice(position - 10, position + 10));
+                    if (token.text === '[') newList.vector = true;
+                    openList(token, newList);
+                } else if (token.type === 'close') {
+                    const { line, column, offset } = token.loc.start;
+                    if (quoteLists.has(current)) {
+                        throw new ParserError("Expected an expression after '", line, column, sourceContext(input, offset));
+                    }
+                    if (stack.length === 0) {
+                        throw new ParserError(`Unexpected closing ${token.text === ']' ? 'bracket' : 'parenthesis'}`, line, column, sourceContext(input, offset));
+                    }
+                    const expected = CLOSING_BRACKETS[current.vector ? '[' : '('];
+                    if (token.text !== expected) {
+                        throw new ParserError(`Mismatched ${token.text}, expected ${expected}`, line, column, sourceContext(input, offset));
                     }
+                    if (pendingComments.length > 0) {
+                        current.innerComments = pendingComments;
+                        pendingComments = [];
+                    }
+                    current.loc.end = token.loc.end;
                     current = stack.pop();
+                    closeQuotes();
                 } else {
-                    // Handle strings with or without quotes
-                    if (token.startsWith('"') && token.endsWith('"')) {
-                        current.push(token.slice(1, -1));
-                    } else if (!isNaN(token)) {
-                        current.push(Number(token));
-                    } else {
-                        current.push(token);
-                    }
+                    pushNode(createAtom(token));
+                    closeQuotes();
                 }
-                position += token.length + 1; // +1 for the space
             });
 
-            if (stack.length > 1) {
-                const { line, column } = getLineAndColumn(input, input.length);
-                throw new ParserError("Missing closing parenthesis", line, column, input.slice(input.length - 20));
+            if (quoteLists.has(current)) {
+                const { line, column, offset } = current.loc.start;
+                throw new ParserError("Expected an expression after '", line, column, sourceContext(input, offset));
+            }
+
+            if (stack.length > 0) {
+                // Point at the innermost list that was never closed
+                const { line, column, offset } = current.loc.start;
+                const missing = current.vector ? 'bracket' : 'parenthesis';
+                throw new ParserError(`Missing closing ${missing}`, line, column, sourceContext(input, offset));
+            }
+
+            if (pendingComments.length > 0) {
+                ast.innerComments = pendingComments;
             }
 
-            return ast[0];
+            return ast;
         } catch (e) {
             if (e instanceof ParserError) throw e;
             
-            const { line, column } = getLineAndColumn(input, 0);
-            throw new ParserError(`Parsing error: ${e.message}`, line, column, input.slice(0, 20) + '...');
+            throw new ParserError(`Parsing error: ${e.message}`, 1, 1, input.slice(0, 20) + '...');
         }
     },
 
     // Find a section in a node by its name
     findSection(node, name) {
         for (let i = 0; i < node.length; i++) {
-            if (Array.isArray(node[i]) && node[i][0] === name) {
+            if (Array.isArray(node[i]) && atomValue(node[i][0]) === name) {
                 return node[i];
             }
         }
         return null;
     },
 
+    // Find the AST node that follows a keyword in a node
+    findArgumentNode(node, argName) {
+        for (let i = 0; i < node.length; i++) {
+            if (atomValue(node[i]) === argName && i + 1 < node.length) {
+                return node[i + 1];
+            }
+        }
+        return undefined;
+    },
+
     // Find argument value in a node
     findArgument(node, argName) {
-        for (let i = 0; i < node.length; i++) {
-            if (node[i] === argName && i + 1 < node.length) {
-                // Convert numeric values
-                const value = node[i + 1];
-                console.log(`Found argument ${argName} with value:`, value);
-                return isNaN(value) ? value : Number(value);
+        const argNode = this.findArgumentNode(node, argName);
+        if (argNode !== undefined) {
+            // Convert numeric values
+            const value = atomValue(argNode);
+            console.log(`Found argument ${argName} with value:`, value);
+            return isNaN(value) ? value : Number(value);
+        }
+        return null;
+    },
+
+    // Find a keyword that can stand alone, like :not-first, or take 1 or 0 as its value
+    findFlag(node, argName) {
+        const index = node.findIndex(child => atomValue(child) === argName);
+        if (index === -1) return null;
+
+        const valueNode = node[index + 1];
+        if (!valueNode || valueNode.type !== 'number') return true;
+        return valueNode.value !== 0;
+    },
+
+    /**
+     * Read a trig condition written as :every n or :every "a:b"
+     * @param {Array} node - Note node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object|null} { index, cycle }: fire on loop `index` (from 1) of every `cycle` loops
+     */
+    findEvery(node, diagnostics) {
+        const everyNode = this.findArgumentNode(node, ':every');
+        if (everyNode === undefined) return null;
+
+        const value = atomValue(everyNode);
+        const match = typeof value === 'string' ? value.match(/^(\d+):(\d+)$/) : null;
+        const [index, cycle] = match ? [Number(match[1]), Number(match[2])] : [1, value];
+        if (!Number.isInteger(cycle) || cycle < 1 || index < 1 || index > cycle) {
+            diagnostics.push(createDiagnostic('error', 'invalid-every',
+                ':every expects a loop count like 4 or a position like "1:4"', everyNode));
+            return null;
+        }
+        return { index, cycle };
+    },
+
+    /**
+     * Collect the (groove "name" offsets...) tables defined on a drum machine
+     * Offsets are fractions of a step, so (groove "lazy" 0 0.2) plays every second step a fifth of a step late.
+     * @param {Array} machine - Drum machine node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object} Offsets by groove name
+     */
+    extractGrooves(machine, diagnostics) {
+        const grooves = {};
+        machine.filter(node => Array.isArray(node) && atomValue(node[0]) === 'groove').forEach(grooveNode => {
+            this.checkKeywords(grooveNode, 'groove', diagnostics);
+
+            const name = atomValue(grooveNode[1]);
+            const offsetNodes = grooveNode.slice(2).flatMap(node => node.vector ? node : [node]);
+            const offsets = offsetNodes.map(atomValue);
+            if (typeof name !== 'string' || offsets.length === 0 || offsets.some(offset => typeof offset !== 'number')) {
+                diagnostics.push(createDiagnostic('error', 'invalid-groove',
+                    'Invalid groove: expected (groove "name" offsets...) with offsets in steps', grooveNode));
+                return;
+            }
+
+            const outOfRange = offsetNodes.find(node => Math.abs(node.value) >= 1);
+            if (outOfRange) {
+                diagnostics.push(createDiagnostic('error', 'out-of-range',
+                    `Groove offsets must be less than a step either way, got ${outOfRange.value}`, outOfRange));
+                return;
+            }
+            grooves[name] = offsets;
+        });
+        return grooves;
+    },
+
+    /**
+     * Read the :swing and :groove settings of a drum machine or track
+     * @param {Array} node - Drum machine or track node
+     * @param {Object} grooves - User grooves from extractGrooves
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object} { swing, groove }, each null when not given or invalid
+     */
+    findGroove(node, grooves, diagnostics) {
+        let swing = this.findNumberArgument(node, ':swing', diagnostics);
+        if (swing !== null && (swing < 0 || swing > 100)) {
+            diagnostics.push(createDiagnostic('error', 'out-of-range',
+                `:swing expects a percentage from 0 to 100, got ${swing}`, this.findArgumentNode(node, ':swing')));
+            swing = null;
+        }
+
+        let groove = this.findArgument(node, ':groove');
+        const names = Object.keys(grooves).concat(Object.keys(GROOVES));
+        if (groove !== null && !names.includes(groove)) {
+            const suggestion = closestMatch(String(groove), names);
+            const hint = suggestion ? `. Did you mean "${suggestion}"?` : '';
+            diagnostics.push(createDiagnostic('error', 'unknown-groove',
+                `Unknown groove "${groove}"${hint}`, this.findArgumentNode(node, ':groove'), suggestion ? { suggestion } : {}));
+            groove = null;
+        }
+        return { swing, groove };
+    },
+
+    /**
+     * Timing offsets of a track's steps, in steps, from its own or the drum machine's groove
+     * A track with :swing or :groove ignores the drum machine's, and :groove takes the place of :swing.
+     * @param {Object} track - Track from extractData
+     * @param {Object} data - Drum machine data from extractData
+     * @returns {Array} Offsets repeating over the track's steps; [0] for straight time
+     */
+    grooveOffsets(track, data) {
+        const hasOwn = (track.swing !== undefined && track.swing !== null) || (track.groove !== undefined && track.groove !== null);
+        const source = hasOwn ? track : data;
+        if (source.groove) {
+            return (data.grooves && data.grooves[source.groove]) || GROOVES[source.groove] || [0];
+        }
+        if (source.swing) {
+            return [0, source.swing / 100 * SWING_MAX_OFFSET];
+        }
+        return [0];
+    },
+
+    /**
+     * Read a note's :nudge, written in milliseconds (12 or "12ms") or transport ticks ("240i")
+     * @param {Array} node - Note node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object|null} { amount, unit } with unit 'ms' or 'ticks', or null when not given or invalid
+     */
+    findNudge(node, diagnostics) {
+        const nudgeNode = this.findArgumentNode(node, ':nudge');
+        if (nudgeNode === undefined) return null;
+
+        const value = atomValue(nudgeNode);
+        if (typeof value === 'number') {
+            return { amount: value, unit: 'ms' };
+        }
+        const match = typeof value === 'string' ? value.match(/^(-?\d+(?:\.\d+)?)(ms|i)$/) : null;
+        if (!match) {
+            diagnostics.push(createDiagnostic('error', 'invalid-nudge',
+                ':nudge expects milliseconds like 12 or "-8ms", or ticks like "240i"', nudgeNode));
+            return null;
+        }
+        return { amount: Number(match[1]), unit: match[2] === 'i' ? 'ticks' : 'ms' };
+    },
+
+    // Read the :tempo of a drum machine or arrangement, in BPM above 0, or null when not given or invalid
+    findTempo(node, diagnostics) {
+        const tempo = this.findNumberArgument(node, ':tempo', diagnostics);
+        if (tempo !== null && tempo <= 0) {
+            diagnostics.push(createDiagnostic('error', 'out-of-range',
+                `:tempo expects a tempo in BPM above 0, got ${tempo}`, this.findArgumentNode(node, ':tempo')));
+            return null;
+        }
+        return tempo;
+    },
+
+    // Read the :bars of an arrangement or track, a whole number of measures from 1 up, or null when not given or invalid
+    findBars(node, diagnostics) {
+        const bars = this.findNumberArgument(node, ':bars', diagnostics);
+        if (bars !== null && (!Number.isInteger(bars) || bars < 1)) {
+            diagnostics.push(createDiagnostic('error', 'out-of-range',
+                `:bars expects a whole number of measures from 1 up, got ${bars}`, this.findArgumentNode(node, ':bars')));
+            return null;
+        }
+        return bars;
+    },
+
+    // Read the :time of a track, a whole number of steps per measure from 1 up, or null when not given or invalid
+    findTime(node, diagnostics) {
+        const time = this.findNumberArgument(node, ':time', diagnostics);
+        if (time !== null && (!Number.isInteger(time) || time < 1)) {
+            diagnostics.push(createDiagnostic('error', 'out-of-range',
+                `:time expects a whole number of steps per measure from 1 up, got ${time}`, this.findArgumentNode(node, ':time')));
+            return null;
+        }
+        return time;
+    },
+
+    /**
+     * Read the :humanize and :humanize-volume amounts of a drum machine or track
+     * @param {Array} node - Drum machine or track node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object} { humanize, humanizeVolume }, each null when not given or invalid
+     */
+    findHumanize(node, diagnostics) {
+        const findAmount = (keyword, max, unit) => {
+            const amount = this.findNumberArgument(node, keyword, diagnostics);
+            if (amount !== null && (amount < 0 || amount > max)) {
+                diagnostics.push(createDiagnostic('error', 'out-of-range',
+                    `${keyword} expects ${unit} from 0 to ${max}, got ${amount}`, this.findArgumentNode(node, keyword)));
+                return null;
+            }
+            return amount;
+        };
+        return {
+            humanize: findAmount(':humanize', HUMANIZE_MAX_MS, 'milliseconds'),
+            humanizeVolume: findAmount(':humanize-volume', 1, 'a volume')
+        };
+    },
+
+    /**
+     * Read the mixer settings of a track: :pan, :mute and :solo
+     * @param {Array} node - Track node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object} { pan, mute, solo }, each null when not given or invalid
+     */
+    findMix(node, diagnostics) {
+        let pan = this.findNumberArgument(node, ':pan', diagnostics);
+        if (pan !== null && (pan < -1 || pan > 1)) {
+            diagnostics.push(createDiagnostic('error', 'out-of-range',
+                `:pan expects -1 (left) to 1 (right), got ${pan}`, this.findArgumentNode(node, ':pan')));
+            pan = null;
+        }
+        const findSwitch = keyword => {
+            const value = this.findNumberArgument(node, keyword, diagnostics);
+            return value === null ? null : value === 1;
+        };
+        return { pan, mute: findSwitch(':mute'), solo: findSwitch(':solo') };
+    },
+
+    // Warn about keywords the form does not accept, suggesting the closest valid one
+    checkKeywords(node, form, diagnostics) {
+        const accepted = KEYWORD_SCHEMA[form];
+        for (let i = 1; i < node.length; i++) {
+            const keywordNode = node[i];
+            if (!keywordNode || keywordNode.type !== 'symbol' || !keywordNode.value.startsWith(':')) continue;
+
+            const keyword = keywordNode.value;
+            if (accepted.includes(keyword)) continue;
+            // Sends name their bus, so findSends checks them against the buses
+            if (form === 'track' && keyword.startsWith(SEND_PREFIX)) continue;
+
+            // A keyword that is valid elsewhere was most likely put on the wrong form
+            const owners = Object.keys(KEYWORD_SCHEMA).filter(other => KEYWORD_SCHEMA[other].includes(keyword));
+            if (owners.length > 0) {
+                diagnostics.push(createDiagnostic('warning', 'misplaced-keyword',
+                    `${keyword} has no effect on ${form}, it belongs on ${owners.join(' or ')}`, keywordNode));
+                continue;
+            }
+
+            const suggestion = closestMatch(keyword, accepted);
+            const hint = suggestion ? `. Did you mean ${suggestion}?` : '';
+            diagnostics.push(createDiagnostic('warning', 'unknown-keyword',
+                `Unknown keyword ${keyword} on ${form}${hint}`, keywordNode, suggestion ? { suggestion } : {}));
+        }
+    },
+
+    // Find a numeric argument, reporting a diagnostic if its value is not a number
+    findNumberArgument(node, argName, diagnostics) {
+        const argNode = this.findArgumentNode(node, argName);
+        if (argNode === undefined) {
+            if (atomValue(node[node.length - 1]) === argName) {
+                diagnostics.push(createDiagnostic('error', 'missing-value',
+                    `${argName} is missing a value`, node[node.length - 1]));
+            }
+            return null;
+        }
+
+        const value = atomValue(argNode);
+        if (Array.isArray(value) || value === '' || isNaN(value)) {
+            const shown = Array.isArray(value) ? 'a list' : JSON.stringify(value);
+            diagnostics.push(createDiagnostic('error', 'invalid-number',
+                `${argName} expects a number, got ${shown}`, argNode));
+            return null;
+        }
+        return Number(value);
+    },
+
+    // Replace symbols bound by (define name value) with their values, leaving heads and name slots alone
+    expandDefinitions(node, definitions) {
+        if (definitions.size === 0 || !Array.isArray(node)) return node;
+
+        const nameSlots = NAME_SLOTS[atomValue(node[0])] || 0;
+        const expanded = node.map((child, i) => {
+            if (Array.isArray(child)) return this.expandDefinitions(child, definitions);
+            if (i > nameSlots && child && child.type === 'symbol' && definitions.has(child.value)) {
+                return definitions.get(child.value);
+            }
+            return child;
+        });
+        expanded.loc = node.loc;
+        if (node.vector) expanded.vector = true;
+        return expanded;
+    },
+
+    /**
+     * Pick the drum machine to play from a buffer of top-level forms
+     * Collects (define name value) forms on the way and expands them in the machine.
+     * With several machines the first one marked :active 1 plays, otherwise the first one.
+     * @param {Array} forms - Top-level forms from parse
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Array|null} The expanded drum-machine form, or null if there is none
+     */
+    selectDrumMachine(forms, diagnostics) {
+        const topLevel = forms || [];
+        const definitions = new Map();
+        const machines = [];
+
+        topLevel.forEach(form => {
+            if (!Array.isArray(form)) return;
+
+            const head = atomValue(form[0]);
+            if (head === 'define') {
+                const nameNode = form[1];
+                if (form.length !== 3 || !nameNode || nameNode.type !== 'symbol' || nameNode.value.startsWith(':')) {
+                    diagnostics.push(createDiagnostic('error', 'invalid-definition',
+                        'Invalid definition: expected (define name value)', form));
+                    return;
+                }
+                if (definitions.has(nameNode.value)) {
+                    diagnostics.push(createDiagnostic('warning', 'duplicate-definition',
+                        `${nameNode.value} is already defined, the later definition wins`, nameNode));
+                }
+                definitions.set(nameNode.value, this.expandDefinitions(form[2], definitions));
+            } else if (head === 'drum-machine') {
+                machines.push(this.expandDefinitions(form, definitions));
+            }
+        });
+
+        if (machines.length === 0) {
+            // Point at the first form that isn't a definition, or at the start of an empty buffer
+            const start = { line: 1, column: 1, offset: 0 };
+            const culprit = topLevel.find(form => !Array.isArray(form) || atomValue(form[0]) !== 'define') ||
+                topLevel[0] || { loc: { start, end: start } };
+            diagnostics.push(createDiagnostic('error', 'not-a-drum-machine',
+                'Invalid drum machine syntax: must start with (drum-machine ...)', culprit));
+            return null;
+        }
+
+        const marked = machines.filter(machine => this.findArgument(machine, ':active') === 1);
+        if (marked.length > 1) {
+            diagnostics.push(createDiagnostic('warning', 'multiple-active-machines',
+                'More than one drum-machine is marked :active 1, playing the first', marked[1]));
+        } else if (marked.length === 0 && machines.length > 1) {
+            diagnostics.push(createDiagnostic('warning', 'multiple-machines',
+                'Several drum-machines found, playing the first. Mark the one to play with :active 1', machines[1]));
+        }
+
+        return marked[0] || machines[0];
+    },
+
+    /**
+     * Expand a step string into note objects
+     * "x" is a hit, "." a rest, "X" an accented hit and a digit a hit with that
+     * volume (5 is neutral). Spaces and "|" only group steps and are skipped.
+     * @param {string} text - Step string, e.g. "x...x...x.x.X..."
+     * @returns {Object} { notes, invalid } where invalid lists unknown characters
+     */
+    patternToNotes(text) {
+        const notes = [];
+        const invalid = [];
+        for (const char of text) {
+            if (PATTERN_SEPARATORS.test(char)) continue;
+
+            const note = { active: true, pitch: 0, volume: 0, duration: null };
+            if (char === PATTERN_REST) {
+                note.active = false;
+            } else if (char === PATTERN_ACCENT) {
+                note.volume = PATTERN_ACCENT_VOLUME;
+            } else if (/[0-9]/.test(char)) {
+                note.volume = patternDigitVolume(Number(char));
+            } else if (char !== PATTERN_HIT) {
+                invalid.push(char);
+                note.active = false;
+            }
+            notes.push(note);
+        }
+        return { notes, invalid };
+    },
+
+    /**
+     * Write note objects as a step string, the reverse of patternToNotes
+     * @param {Object[]} notes - Notes from extractData
+     * @param {number|number[]} [groupSize] - Steps between spaces, e.g. the steps in one beat,
+     *     or the steps in each group of a measure, as in [4, 4, 6] for sixteenths in 7/8
+     * @returns {string|null} Step string, or null if a note has settings a pattern cannot show
+     */
+    notesToPattern(notes, groupSize = 0) {
+        // Steps at which a new group starts, repeating every measure
+        const groups = [].concat(groupSize).filter(size => size > 0);
+        const measureSteps = groups.reduce((sum, size) => sum + size, 0);
+        const groupStarts = new Set(groups.map((size, i) => groups.slice(0, i).reduce((sum, n) => sum + n, 0)));
+
+        let text = '';
+        for (const [index, note] of notes.entries()) {
+            const { active, pitch, volume, duration, ...rest } = note;
+            if (measureSteps > 0 && index > 0 && groupStarts.has(index % measureSteps)) {
+                text += ' ';
+            }
+            if (pitch || (duration !== null && duration !== undefined) || Object.keys(rest).length > 0) {
+                return null;
+            }
+
+            if (!active) {
+                text += PATTERN_REST;
+            } else if (!volume) {
+                text += PATTERN_HIT;
+            } else if (volume === PATTERN_ACCENT_VOLUME) {
+                text += PATTERN_ACCENT;
+            } else {
+                const digit = Math.round(volume * 5 + 5);
+                if (digit < 0 || digit > 9 || Math.abs(patternDigitVolume(digit) - volume) > 1e-9) {
+                    return null;
+                }
+                text += digit;
+            }
+        }
+        return text;
+    },
+
+    /**
+     * Read the (tempo-map ...) of a drum machine or arrangement
+     * (at position bpm) jumps to a tempo there, (ramp position bpm) glides to it from the point before.
+     * Positions are transport times in bars ("4m") or bars:beats:sixteenths ("4:2:0").
+     * @param {Array} node - Drum machine or arrangement node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object[]|null} Points { position, bpm, ramp } in the order written, or null without a tempo map
+     */
+    extractTempoMap(node, diagnostics) {
+        const mapNode = this.findSection(node, 'tempo-map');
+        if (!mapNode) return null;
+
+        this.checkKeywords(mapNode, 'tempo-map', diagnostics);
+        const points = [];
+        mapNode.slice(1).forEach(pointNode => {
+            const kind = Array.isArray(pointNode) ? atomValue(pointNode[0]) : null;
+            if (kind !== 'at' && kind !== 'ramp') {
+                diagnostics.push(createDiagnostic('error', 'invalid-tempo-map',
+                    'Invalid tempo map: expected (at "4m" bpm) or (ramp "4m" bpm)', pointNode));
+                return;
+            }
+            this.checkKeywords(pointNode, kind, diagnostics);
+
+            const position = atomValue(pointNode[1]);
+            const bpm = atomValue(pointNode[2]);
+            if (pointNode.length !== 3 || typeof position !== 'string' || !TEMPO_POSITION.test(position)) {
+                diagnostics.push(createDiagnostic('error', 'invalid-tempo-map',
+                    `Invalid tempo map: expected (${kind} "4m" bpm) with a position in bars like "4m" or "4:2:0"`, pointNode));
+                return;
+            }
+            if (typeof bpm !== 'number' || bpm <= 0) {
+                diagnostics.push(createDiagnostic('error', typeof bpm === 'number' ? 'out-of-range' : 'invalid-number',
+                    `${kind} expects a tempo in BPM above 0, got ${JSON.stringify(bpm)}`, pointNode[2]));
+                return;
+            }
+            points.push({ position, bpm, ramp: kind === 'ramp' });
+        });
+        return points;
+    },
+
+    /**
+     * Read the (effects ...) of a track, in the order its sound goes through them
+     * @param {Array} track - Track node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object[]|null} Effects { type, options } with options named as in Tone.js, or null without effects
+     */
+    extractEffects(track, diagnostics) {
+        const effectsNode = this.findSection(track, 'effects');
+        if (!effectsNode) return null;
+
+        this.checkKeywords(effectsNode, 'effects', diagnostics);
+        return this.readEffects(effectsNode.slice(1), diagnostics);
+    },
+
+    /**
+     * Read effect forms like (reverb :decay 2 :wet 0.3), skipping the ones with problems
+     * @param {Array} effectNodes - Effect nodes in chain order
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object[]} Effects { type, options } with options named as in Tone.js
+     */
+    readEffects(effectNodes, diagnostics) {
+        const effects = [];
+        effectNodes.forEach(effectNode => {
+            const type = Array.isArray(effectNode) ? atomValue(effectNode[0]) : null;
+            const effect = EFFECTS[type];
+            if (!effect) {
+                if (typeof type !== 'string') {
+                    diagnostics.push(createDiagnostic('error', 'invalid-effect',
+                        'Invalid effects: expected effects like (reverb :decay 2 :wet 0.3)', effectNode));
+                    return;
+                }
+                const suggestion = closestMatch(type, Object.keys(EFFECTS));
+                const hint = suggestion ? `. Did you mean ${suggestion}?` : '';
+                diagnostics.push(createDiagnostic('error', 'unknown-effect',
+                    `Unknown effect ${type}${hint}`, effectNode[0], suggestion ? { suggestion } : {}));
+                return;
+            }
+            this.checkKeywords(effectNode, type, diagnostics);
+
+            const options = {};
+            const readOption = (keyword, valueNode) => {
+                const option = effect.options[keyword];
+                const value = atomValue(valueNode);
+                if (option.time && typeof value === 'string' && EFFECT_TIME.test(value)) {
+                    options[option.name] = value;
+                    return;
+                }
+                if (typeof value !== 'number') {
+                    const expected = option.time ? 'seconds or a time like "8n"' : 'a number';
+                    diagnostics.push(createDiagnostic('error', 'invalid-number',
+                        `${type} ${keyword} expects ${expected}, got ${Array.isArray(value) ? 'a list' : JSON.stringify(value)}`, valueNode));
+                    return;
+                }
+                if (value < option.min || value > option.max) {
+                    diagnostics.push(createDiagnostic('error', 'out-of-range',
+                        `${type} ${keyword} expects a value from ${option.min} to ${option.max}, got ${value}`, valueNode));
+                    return;
+                }
+                options[option.name] = value;
+            };
+
+            // A value right after the name sets the effect's main option, as in (delay "8n")
+            const first = effectNode[1];
+            if (first !== undefined && !(first.type === 'symbol' && first.value.startsWith(':'))) {
+                readOption(effect.positional, first);
+            }
+            Object.keys(effect.options).forEach(keyword => {
+                const valueNode = this.findArgumentNode(effectNode, keyword);
+                if (valueNode !== undefined) {
+                    readOption(keyword, valueNode);
+                } else if (atomValue(effectNode[effectNode.length - 1]) === keyword) {
+                    diagnostics.push(createDiagnostic('error', 'missing-value',
+                        `${keyword} is missing a value`, effectNode[effectNode.length - 1]));
+                }
+            });
+            effects.push({ type, options });
+        });
+        return effects;
+    },
+
+    /**
+     * Collect the (bus "name" effects...) of a drum machine, shared effects that tracks send to
+     * @param {Array} machine - Drum machine node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object[]} Buses { name, effects } in source order
+     */
+    extractBuses(machine, diagnostics) {
+        const buses = [];
+        machine.filter(node => Array.isArray(node) && atomValue(node[0]) === 'bus').forEach(busNode => {
+            this.checkKeywords(busNode, 'bus', diagnostics);
+
+            const name = atomValue(busNode[1]);
+            // The name is part of the tracks' :send- keywords, so it can't hold spaces
+            if (typeof name !== 'string' || !/^[^\s();"]+$/.test(name)) {
+                diagnostics.push(createDiagnostic('error', 'invalid-bus',
+                    'Invalid bus: expected (bus "name" effects...) with a name without spaces, e.g. (bus "verb" (reverb :decay 4))', busNode));
+                return;
+            }
+            if (buses.some(bus => bus.name === name)) {
+                diagnostics.push(createDiagnostic('warning', 'duplicate-bus',
+                    `Another bus is already named "${name}", tracks send to the first one`, busNode[1]));
+                return;
+            }
+            buses.push({ name, effects: this.readEffects(busNode.slice(2), diagnostics) });
+        });
+        return buses;
+    },
+
+    /**
+     * Read the :send-<bus> levels of a track
+     * @param {Array} node - Track node
+     * @param {Object[]} buses - Buses from extractBuses
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object|null} Send level (0 to 1) by bus name, or null without sends
+     */
+    findSends(node, buses, diagnostics) {
+        const sends = {};
+        const names = buses.map(bus => bus.name);
+        node.forEach((keywordNode, i) => {
+            if (i === 0 || !keywordNode || keywordNode.type !== 'symbol' || !keywordNode.value.startsWith(SEND_PREFIX)) return;
+
+            const keyword = keywordNode.value;
+            const name = keyword.slice(SEND_PREFIX.length);
+            const level = this.findNumberArgument(node, keyword, diagnostics);
+            if (level === null) return;
+            if (!names.includes(name)) {
+                const suggestion = closestMatch(name, names);
+                const hint = suggestion ? `. Did you mean ${SEND_PREFIX}${suggestion}?` : '';
+                diagnostics.push(createDiagnostic('error', 'unknown-bus',
+                    `No bus named "${name}" to send to${hint}`, keywordNode,
+                    suggestion ? { suggestion: `${SEND_PREFIX}${suggestion}` } : {}));
+                return;
+            }
+            if (level < 0 || level > 1) {
+                diagnostics.push(createDiagnostic('error', 'out-of-range',
+                    `${keyword} expects a level from 0 to 1, got ${level}`, this.findArgumentNode(node, keyword)));
+                return;
+            }
+            sends[name] = level;
+        });
+        return Object.keys(sends).length > 0 ? sends : null;
+    },
+
+    /**
+     * Read the (song ...) of a drum machine, which plays named arrangements in turn
+     * (play "verse" 4) plays the arrangement named "verse" for four of its loops, once when no count is given.
+     * @param {Array} machine - Drum machine node
+     * @param {Object[]} arrangements - Arrangements already read from the drum machine
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object|null} { loop, entries } with entries { name, repeat } in order, or null without a song to play
+     */
+    extractSong(machine, arrangements, diagnostics) {
+        const songNode = this.findSection(machine, 'song');
+        if (!songNode) return null;
+
+        this.checkKeywords(songNode, 'song', diagnostics);
+        const names = arrangements.map(arrangement => arrangement.name).filter(name => name !== undefined);
+        const entries = [];
+        songNode.slice(1).forEach((playNode, i) => {
+            // :loop and its value are read below
+            if (!Array.isArray(playNode) && (atomValue(playNode) === ':loop' || atomValue(songNode[i]) === ':loop')) {
+                return;
+            }
+            if (!Array.isArray(playNode) || atomValue(playNode[0]) !== 'play') {
+                diagnostics.push(createDiagnostic('error', 'invalid-song',
+                    'Invalid song: expected (play "name" repeats) entries', playNode));
+                return;
+            }
+            this.checkKeywords(playNode, 'play', diagnostics);
+
+            const name = atomValue(playNode[1]);
+            const repeat = playNode.length > 2 ? atomValue(playNode[2]) : 1;
+            if (typeof name !== 'string' || playNode.length > 3) {
+                diagnostics.push(createDiagnostic('error', 'invalid-song',
+                    'Invalid song: expected (play "name" repeats) with the name of an arrangement', playNode));
+                return;
+            }
+            if (!names.includes(name)) {
+                const suggestion = closestMatch(name, names);
+                const hint = suggestion ? `. Did you mean "${suggestion}"?` : '';
+                diagnostics.push(createDiagnostic('error', 'unknown-arrangement',
+                    `No arrangement is named "${name}"${hint}`, playNode[1], suggestion ? { suggestion } : {}));
+                return;
+            }
+            if (!Number.isInteger(repeat) || repeat < 1) {
+                diagnostics.push(createDiagnostic('error', 'out-of-range',
+                    `play expects a whole number of loops of at least 1, got ${JSON.stringify(repeat)}`, playNode[2]));
+                return;
+            }
+            entries.push({ name, repeat });
+        });
+
+        const loop = this.findNumberArgument(songNode, ':loop', diagnostics) === 1;
+        return entries.length > 0 ? { loop, entries } : null;
+    },
+
+    /**
+     * Read :signature, written as beats of a quarter note (3) or as a time signature ("6/8")
+     * @param {Array} machine - Drum machine node
+     * @param {Array} diagnostics - Diagnostics to add problems to
+     * @returns {Object} { signature, beatUnit }: the top and bottom numbers, 4/4 when not given or invalid
+     */
+    findSignature(machine, diagnostics) {
+        const signatureNode = this.findArgumentNode(machine, ':signature');
+        if (signatureNode === undefined) {
+            return { signature: 4, beatUnit: 4 };
+        }
+
+        const value = atomValue(signatureNode);
+        const match = typeof value === 'string' ? value.match(/^(\d+)\/(\d+)$/) : null;
+        const [signature, beatUnit] = match ? [Number(match[1]), Number(match[2])] : [value, 4];
+        if (!Number.isInteger(signature) || signature < 1 || !BEAT_UNITS.includes(beatUnit)) {
+            diagnostics.push(createDiagnostic('error', 'invalid-signature',
+                `:signature expects beats like 3 or a time signature like "6/8" counting in ${BEAT_UNITS.join(', ')}`,
+                signatureNode));
+            return { signature: 4, beatUnit: 4 };
+        }
+        return { signature, beatUnit };
+    },
+
+    /**
+     * Group the beats of a measure the way they are felt and accented
+     * Quarter and half note meters count every beat. Eighth and sixteenth meters group in
+     * threes when they divide by three (6/8 is 3+3), otherwise in twos with a final three
+     * for odd counts (7/8 is 2+2+3).
+     * @param {number} signature - Beats per measure, the top number
+     * @param {number} beatUnit - Note value of a beat, the bottom number
+     * @returns {number[]} Length of each group in beats
+     */
+    meterGroups(signature, beatUnit = 4) {
+        if (beatUnit <= 4) {
+            return Array(signature).fill(1);
+        }
+        if (signature <= 3) {
+            return [signature];
+        }
+        if (signature % 3 === 0) {
+            return Array(signature / 3).fill(3);
+        }
+        const groups = Array(Math.floor(signature / 2)).fill(2);
+        if (signature % 2 === 1) {
+            groups[groups.length - 1] = 3;
+        }
+        return groups;
+    },
+
+    /**
+     * Spread hits as evenly as possible over steps with Bjorklund's algorithm
+     * @param {number} hits - Number of hits
+     * @param {number} steps - Length of the cycle
+     * @param {number} rotate - Steps to move the pattern later, wrapping around
+     * @returns {boolean[]} One entry per step, true for a hit; e.g. 3 of 8 is x..x..x.
+     */
+    euclidean(hits, steps, rotate = 0) {
+        let groups = Array.from({ length: Math.min(hits, steps) }, () => [true]);
+        let remainder = Array.from({ length: Math.max(steps - hits, 0) }, () => [false]);
+
+        // Pair hits with rests until at most one group of leftovers remains
+        while (groups.length > 0 && remainder.length > 1) {
+            const pairs = Math.min(groups.length, remainder.length);
+            const paired = [];
+            for (let i = 0; i < pairs; i++) {
+                paired.push(groups[i].concat(remainder[i]));
+            }
+            remainder = groups.length > pairs ? groups.slice(pairs) : remainder.slice(pairs);
+            groups = paired;
+        }
+
+        const pattern = [...groups, ...remainder].flat();
+        const shift = ((rotate % steps) + steps) % steps;
+        return pattern.map((_, i) => pattern[(i - shift + steps) % steps]);
+    },
+
+    // Find the section that gives a track its notes: (notes ...), (pattern "...") or (euclid ...)
+    findNoteSource(trackNode) {
+        for (let i = 1; i < trackNode.length; i++) {
+            if (Array.isArray(trackNode[i]) && NOTE_SOURCES.includes(atomValue(trackNode[i][0]))) {
+                return trackNode[i];
             }
         }
-        console.log(`Argument ${argName} not found in node`);
         return null;
     },
 
-    // Extract drum machine data from AST
-    extractData(ast) {
+    // Extract note objects from a (notes ...), (pattern ...) or (euclid ...) section
+    extractNotes(sourceNode, diagnostics, track) {
+        const notes = [];
+
+        if (atomValue(sourceNode[0]) === 'euclid') {
+            this.checkKeywords(sourceNode, 'euclid', diagnostics);
+            const [hits, steps] = [sourceNode[1], sourceNode[2]].map(atomValue);
+            if (!Number.isInteger(steps) || steps <= 0 || !Number.isInteger(hits) || hits < 0 || hits > steps) {
+                diagnostics.push(createDiagnostic('error', 'invalid-euclid',
+                    'euclid expects (euclid hits steps) with 0 <= hits <= steps', sourceNode));
+                return notes;
+            }
+            const rotate = this.findNumberArgument(sourceNode, ':rotate', diagnostics) || 0;
+            const cycle = this.euclidean(hits, steps, Math.round(rotate));
+
+            // Repeat the cycle over the whole track, so 3 of 8 keeps cycling against the bar
+            const totalNotes = Math.round(track.time * track.bars);
+            for (let k = 0; k < totalNotes; k++) {
+                notes.push({ active: cycle[k % steps], pitch: 0, volume: 0, duration: null });
+            }
+            return notes;
+        }
+
+        if (atomValue(sourceNode[0]) === 'pattern') {
+            this.checkKeywords(sourceNode, 'pattern', diagnostics);
+            // Several strings are joined, so a long pattern can be written one bar per string
+            for (let k = 1; k < sourceNode.length; k++) {
+                const stepsNode = sourceNode[k];
+                if (stepsNode && stepsNode.type === 'symbol' && stepsNode.value.startsWith(':')) {
+                    // Keywords were already reported by checkKeywords, skip them and their value
+                    k++;
+                    continue;
+                }
+                if (!stepsNode || stepsNode.type !== 'string') {
+                    diagnostics.push(createDiagnostic('error', 'invalid-pattern',
+                        'pattern expects strings of steps like "x...x..."', stepsNode));
+                    continue;
+                }
+                const { notes: stepNotes, invalid } = this.patternToNotes(stepsNode.value);
+                if (invalid.length > 0) {
+                    diagnostics.push(createDiagnostic('error', 'invalid-pattern',
+                        `Unknown step ${invalid.map(char => JSON.stringify(char)).join(', ')} in pattern, use x . X or 0-9`,
+                        stepsNode));
+                }
+                notes.push(...stepNotes);
+            }
+            return notes;
+        }
+
+        for (let k = 1; k < sourceNode.length; k++) {
+            const noteNode = sourceNode[k];
+            if (Array.isArray(noteNode) && atomValue(noteNode[0]) === 'note') {
+                this.checkKeywords(noteNode, 'note', diagnostics);
+                const noteActive = this.findNumberArgument(noteNode, ':active', diagnostics) === 1;
+                const notePitch = this.findArgument(noteNode, ':pitch') || 0;
+                const noteVolume = this.findNumberArgument(noteNode, ':volume', diagnostics) || 0;
+                const noteDuration = this.findArgument(noteNode, ':duration');
+                
+                const note = {
+                    active: noteActive !== null ? noteActive : false,
+                    pitch: notePitch,
+                    volume: noteVolume,
+                    duration: noteDuration
+                };
+
+                // Trig conditions are only set when written, so plain notes stay plain
+                const prob = this.findNumberArgument(noteNode, ':prob', diagnostics);
+                if (prob !== null) {
+                    if (prob < 0 || prob > 1) {
+                        diagnostics.push(createDiagnostic('error', 'out-of-range',
+                            `:prob expects a value from 0 to 1, got ${prob}`, this.findArgumentNode(noteNode, ':prob')));
+                    } else {
+                        note.prob = prob;
+                    }
+                }
+                const every = this.findEvery(noteNode, diagnostics);
+                if (every) {
+                    note.every = every;
+                }
+                if (this.findFlag(noteNode, ':not-first')) {
+                    note.notFirst = true;
+                }
+                const nudge = this.findNudge(noteNode, diagnostics);
+                if (nudge) {
+                    note.nudge = nudge;
+                }
+                const ratchet = this.findNumberArgument(noteNode, ':ratchet', diagnostics);
+                if (ratchet !== null) {
+                    if (!Number.isInteger(ratchet) || ratchet < 1 || ratchet > RATCHET_MAX) {
+                        diagnostics.push(createDiagnostic('error', 'out-of-range',
+                            `:ratchet expects a whole number of repeats from 1 to ${RATCHET_MAX}, got ${ratchet}`,
+                            this.findArgumentNode(noteNode, ':ratchet')));
+                    } else {
+                        note.ratchet = ratchet;
+                    }
+                }
+                const ratchetDecay = this.findNumberArgument(noteNode, ':ratchet-decay', diagnostics);
+                if (ratchetDecay !== null) {
+                    // Repeats only ever get quieter, by at most a whole note volume each
+                    if (ratchetDecay < 0 || ratchetDecay > 1) {
+                        diagnostics.push(createDiagnostic('error', 'out-of-range',
+                            `:ratchet-decay expects a note volume from 0 to 1, got ${ratchetDecay}`,
+                            this.findArgumentNode(noteNode, ':ratchet-decay')));
+                    } else {
+                        note.ratchetDecay = ratchetDecay;
+                    }
+                }
+
+                notes.push(note);
+            }
+        }
+        return notes;
+    },
+
+    /**
+     * Extract drum machine data from AST
+     * @param {Array} ast - The top-level forms from parse
+     * @param {Object} options - Known names to validate against
+     * @param {string[]} [options.samples] - Sample names available to tracks
+     * @param {string[]} [options.synthTypes] - Synth types available to :synth
+     * @returns {Object} Drum machine data, with every problem found listed in `diagnostics`
+     */
+    extractData(ast, options = {}) {
+        const { samples = null, synthTypes = null } = options;
+        const diagnostics = [];
+
         try {
-            if (!ast || ast[0] !== 'drum-machine') {
-                throw new Error('Invalid drum machine syntax: must start with (drum-machine ...)');
+            const machine = this.selectDrumMachine(ast, diagnostics);
+            if (!machine) {
+                return {
+                    name: null, tempo: 120, signature: 4, beatUnit: 4, seed: null, tempoMap: null, song: null,
+                    swing: null, groove: null, grooves: {}, buses: [], humanize: null, humanizeVolume: null,
+                    arrangements: [], diagnostics
+                };
             }
 
+            this.checkKeywords(machine, 'drum-machine', diagnostics);
+
             const data = {
-                name: ast[1],
-                tempo: this.findArgument(ast, ':tempo') || 120,
-                signature: this.findArgument(ast, ':signature') || 4,
-                arrangements: []
+                name: atomValue(machine[1]),
+                tempo: this.findTempo(machine, diagnostics) || 120,
+                ...this.findSignature(machine, diagnostics),
+                seed: this.findNumberArgument(machine, ':seed', diagnostics),
+                swing: null,
+                groove: null,
+                grooves: this.extractGrooves(machine, diagnostics),
+                buses: this.extractBuses(machine, diagnostics),
+                humanize: null,
+                humanizeVolume: null,
+                arrangements: [],
+                diagnostics
             };
+            Object.assign(data, this.findGroove(machine, data.grooves, diagnostics));
+            Object.assign(data, this.findHumanize(machine, diagnostics));
+
+            const defaultTime = data.signature * 16 / data.beatUnit;
+
+            // Tempo changes for every arrangement without its own
+            data.tempoMap = this.extractTempoMap(machine, diagnostics);
 
             // Find arrangements
-            for (let i = 2; i < ast.length; i++) {
-                const node = ast[i];
-                if (Array.isArray(node) && node[0] === 'arrangement') {
-                    const isActive = this.findArgument(node, ':active') === 1;
-                    const bars = this.findArgument(node, ':bars') || 1;
-                    const volume = this.findArgument(node, ':volume') || 0;
+            for (let i = 2; i < machine.length; i++) {
+                const node = machine[i];
+                if (Array.isArray(node) && atomValue(node[0]) === 'arrangement') {
+                    this.checkKeywords(node, 'arrangement', diagnostics);
+                    const isActive = this.findNumberArgument(node, ':active', diagnostics) === 1;
+                    const bars = this.findBars(node, diagnostics) || 1;
+                    const volume = this.findNumberArgument(node, ':volume', diagnostics) || 0;
 
+                    // Unnamed arrangements are numbered in order, so keywords on the drum machine don't shift them
                     const arrangement = {
-                        id: `arr_${i}`,
+                        id: `arr_${data.arrangements.length + 1}`,
                         active: isActive,
                         bars: bars,
                         volume: volume,
                         tracks: []
                     };
 
+                    // A name, as in (arrangement "verse" ...), lets a song or the launcher play the arrangement,
+                    // and gives it an id that stays the same when arrangements are moved around.
+                    // Its own prefix keeps it apart from numbered ids, so "3" can't clash with arr_3
+                    if (node[1] && node[1].type === 'string') {
+                        if (data.arrangements.some(other => other.name === node[1].value)) {
+                            diagnostics.push(createDiagnostic('warning', 'duplicate-arrangement',
+                                `Another arrangement is already named "${node[1].value}", songs play the first one`, node[1]));
+                        } else {
+                            arrangement.id = `arr_name_${node[1].value}`;
+                        }
+                        arrangement.name = node[1].value;
+                    }
+
+                    // Tempo settings are only set when written, so the drum machine's apply otherwise
+                    const arrangementTempo = this.findTempo(node, diagnostics);
+                    if (arrangementTempo !== null) {
+                        arrangement.tempo = arrangementTempo;
+                    }
+                    const tempoMap = this.extractTempoMap(node, diagnostics);
+                    if (tempoMap) {
+                        arrangement.tempoMap = tempoMap;
+                    }
+
                     // Find tracks in arrangement
                     for (let j = 2; j < node.length; j++) {
                         const trackNode = node[j];
-                        if (Array.isArray(trackNode) && trackNode[0] === 'track') {
-                            const trackActive = this.findArgument(trackNode, ':active') === 1;
-                            const trackBars = this.findArgument(trackNode, ':bars') || arrangement.bars;
-                            const time = this.findArgument(trackNode, ':time') || 16;
-                            const trackVolume = this.findArgument(trackNode, ':volume') || 0;
+                        if (Array.isArray(trackNode) && atomValue(trackNode[0]) === 'track') {
+                            this.checkKeywords(trackNode, 'track', diagnostics);
+                            const trackActive = this.findNumberArgument(trackNode, ':active', diagnostics) === 1;
+                            const ownBars = this.findBars(trackNode, diagnostics);
+                            const trackBars = ownBars || arrangement.bars;
+                            // Tracks default to sixteenth notes, whatever the time signature
+                            const ownTime = this.findTime(trackNode, diagnostics);
+                            const time = ownTime || defaultTime;
+                            // A :bars or :time already reported as invalid can't tell how many notes fit
+                            const lengthValid = (ownBars !== null || this.findArgumentNode(trackNode, ':bars') === undefined) &&
+                                (ownTime !== null || this.findArgumentNode(trackNode, ':time') === undefined);
+                            const trackVolume = this.findNumberArgument(trackNode, ':volume', diagnostics) || 0;
 
+                            const trackName = atomValue(trackNode[1]);
                             const track = {
-                                name: trackNode[1],
-                                sample: trackNode[2],
+                                name: trackName,
+                                sample: atomValue(trackNode[2]),
                                 active: trackActive !== null ? trackActive : true,
                                 notes: [],
                                 bars: trackBars,
@@ -174,39 +1438,78 @@ const parser = {
                                 volume: trackVolume
                             };
 
+                            // Swing and groove are only set when written, so the drum machine's apply otherwise
+                            const { swing, groove } = this.findGroove(trackNode, data.grooves, diagnostics);
+                            if (swing !== null) {
+                                track.swing = swing;
+                            }
+                            if (groove !== null) {
+                                track.groove = groove;
+                            }
+                            const { humanize, humanizeVolume } = this.findHumanize(trackNode, diagnostics);
+                            if (humanize !== null) {
+                                track.humanize = humanize;
+                            }
+                            if (humanizeVolume !== null) {
+                                track.humanizeVolume = humanizeVolume;
+                            }
+                            // Mixer settings are only set when written
+                            const mix = this.findMix(trackNode, diagnostics);
+                            ['pan', 'mute', 'solo'].forEach(setting => {
+                                if (mix[setting] !== null) {
+                                    track[setting] = mix[setting];
+                                }
+                            });
+                            const effects = this.extractEffects(trackNode, diagnostics);
+                            if (effects) {
+                                track.effects = effects;
+                            }
+                            const sends = this.findSends(trackNode, data.buses, diagnostics);
+                            if (sends) {
+                                track.sends = sends;
+                            }
+
                             // Check if this is a synth track
                             const synthType = this.findArgument(trackNode, ':synth');
-                            console.log(`Checking for synth in track ${trackNode[1]}, found: ${synthType}`);
+                            console.log(`Checking for synth in track ${trackName}, found: ${synthType}`);
                             
                             if (synthType) {
                                 track.isSynth = true;
                                 track.synthType = synthType;
                                 console.log(`Found synth track: ${track.name} with synthType: ${synthType}`);
                                 console.log(`Track properties: isSynth=${track.isSynth}, synthType=${track.synthType}, sample=${track.sample}`);
+
+                                if (synthTypes && !synthTypes.includes(String(synthType).toLowerCase())) {
+                                    diagnostics.push(createDiagnostic('warning', 'unknown-synth',
+                                        `Unknown synth type "${synthType}" in track ${trackName}, defaulting to Synth`,
+                                        this.findArgumentNode(trackNode, ':synth')));
+                                }
                             } else {
-                                console.log(`Track ${trackNode[1]} is NOT a synth track`);
+                                console.log(`Track ${trackName} is NOT a synth track`);
+
+                                // Synth tracks ignore their sample, so only check it for sample tracks
+                                if (samples && !samples.includes(track.sample)) {
+                                    diagnostics.push(createDiagnostic('error', 'unknown-sample',
+                                        `Unknown sample "${track.sample}" in track ${trackName}`,
+                                        trackNode[2] || trackNode));
+                                }
                             }
 
                             // Find notes section dynamically
-                            const notesNode = this.findSection(trackNode, 'notes');
+                            const notesNode = this.findNoteSource(trackNode);
                             if (!notesNode) {
-                                throw new Error(`Invalid track syntax: missing notes section in track ${trackNode[1]}`);
-                            }
+                                diagnostics.push(createDiagnostic('error', 'missing-notes',
+                                    `Invalid track syntax: missing notes section in track ${trackName}`, trackNode));
+                            } else {
+                                track.notes = this.extractNotes(notesNode, diagnostics, track);
 
-                            for (let k = 1; k < notesNode.length; k++) {
-                                const noteNode = notesNode[k];
-                                if (Array.isArray(noteNode) && noteNode[0] === 'note') {
-                                    const noteActive = this.findArgument(noteNode, ':active') === 1;
-                                    const notePitch = this.findArgument(noteNode, ':pitch') || 0;
-                                    const noteVolume = this.findArgument(noteNode, ':volume') || 0;
-                                    const noteDuration = this.findArgument(noteNode, ':duration');
-                                    
-                                    track.notes.push({
-                                        active: noteActive !== null ? noteActive : false,
-                                        pitch: notePitch,
-                                        volume: noteVolume,
-                                        duration: noteDuration
-                                    });
+                                // Playback skips notes past the track's bars, so say so once here
+                                const room = track.time * track.bars;
+                                if (lengthValid && track.notes.length > room) {
+                                    const bars = `${track.bars} bar${track.bars === 1 ? '' : 's'}`;
+                                    diagnostics.push(createDiagnostic('warning', 'notes-past-end',
+                                        `Track ${trackName} has ${track.notes.length} notes but room for ${room} in ${bars}, ` +
+                                        `the last ${track.notes.length - room} are skipped`, notesNode));
                                 }
                             }
 
@@ -218,6 +1521,9 @@ const parser = {
                 }
             }
 
+            // Songs name their arrangements, so read them once every arrangement is known
+            data.song = this.extractSong(machine, data.arrangements, diagnostics);
+
             return data;
         } catch (e) {
             if (e instanceof ParserError) throw e;
@@ -230,4 +1536,4 @@ const parser = {
 // Export the parser for use in other modules
 if (typeof module !== 'undefined') {
     module.exports = parser;
-} 
\ No newline at end of file
+}
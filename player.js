@@ -7,8 +7,25 @@ const player = {
     currentStep: 0,             // Current step in the sequence
     stepLength: '16n',          // Default step length
     parts: new Map(),           // Track -> Part mapping
+    partContents: new Map(),    // Track -> { events, bars } each part was last given, for patching
     trackStates: new Map(),     // Track -> active state mapping
+    trackLoops: new Map(),      // Track -> { iteration, lastPosition } for trig conditions
+    seed: null,                 // Seed for note probability and humanize, null for a new roll every time
+    sampleStarts: new Map(),    // Player -> last start time, so a player never starts twice at once
+    trackStrips: new Map(),     // Track -> { input, effects, channel, sends, voices } taking its voices through its effects and channel to the master
+    buses: new Map(),           // Bus name -> { input, effects } shared effects that tracks send to
+    tempoEvents: [],            // Transport event ids of the scheduled tempo map
     currentArrangementId: null, // Currently active arrangement ID
+    currentData: null,          // Drum machine data the parts were built from
+    quantize: 'bar',            // When edits made during playback take effect: 'beat', 'bar' or 'loop'
+    pendingData: null,          // Latest edit waiting for the quantize boundary
+    swapEvent: null,            // Transport event id of the scheduled swap
+    songPosition: null,         // { index, repeat } of the song entry playing, null without a song
+    songEvents: [],             // Transport event ids of the song's moves between arrangements
+    launched: null,             // Name of the arrangement cued from the launcher, played over :active and the song
+    cued: null,                 // Name of the arrangement waiting for the next bar
+    cueEvent: null,             // Transport event id of the scheduled cue
+    wrapEvent: null,            // Transport event id that gives a restarted loop its new length
     masterLimiter: null,        // Master limiter to prevent clipping
     
     // Default sample mapping
@@ -31,13 +48,19 @@ const player = {
         timbale: '/samples/TR-505_Tape_Timbale.wav'
     },
 
+    // Synth types understood by getSynth
+    synthTypes: ['synth', 'amsynth', 'fmsynth', 'monosynth', 'polysynth', 'pluck', 'membrane', 'metal', 'noise'],
+
     // Initialize player with drum machine data
     async init(data) {
         console.log('Initializing player with data:', data);
         this.stop();
+        Array.from(this.trackStrips.keys()).forEach(trackId => this.disposeStrip(trackId));
+        this.updateBuses({});
         this.players.clear();
         this.synths.clear();
         this.parts.clear();
+        this.partContents.clear();
         this.trackStates.clear();
         
         // Create a master limiter to prevent clipping
@@ -45,7 +68,9 @@ const player = {
         console.log('Created master limiter');
         
         // Set default tempo and loop length
+        this.transport.PPQ = timeline.ppq;
         this.transport.bpm.value = data.tempo || 120;
+        this.transport.timeSignature = [data.signature || 4, data.beatUnit || 4];
         
         // Default to 1 measure loop
         this.transport.setLoopPoints(0, "1m");
@@ -88,9 +113,11 @@ const player = {
             }
         }
 
-        // Set up playhead callback
+        // Set up playhead callback, counting the sixteenths of a measure of the current meter
         this.transport.scheduleRepeat((time) => {
-            this.currentStep = (this.currentStep + 1) % 16;
+            const stepTicks = timeline.ppq / 4;
+            const stepsPerMeasure = Math.max(1, Math.round(timeline.measureBeats(this.currentData || {}) * 4));
+            this.currentStep = Math.round(this.transport.getTicksAtTime(time) / stepTicks) % stepsPerMeasure;
             if (typeof window !== 'undefined') {
                 window.dispatchEvent(new CustomEvent('stepChange', { 
                     detail: { step: this.currentStep }
@@ -124,7 +151,17 @@ const player = {
             return this.synths.get(synthType);
         }
         
-        // Create a new synth instance based on type
+        const synth = this.createSynth(synthType);
+        if (synth) {
+            // Cache the synth instance
+            synth.connect(this.masterLimiter);
+            this.synths.set(synthType, synth);
+        }
+        return synth;
+    },
+
+    // Create a new synth instance of a type, not yet connected
+    createSynth(synthType) {
         let synth = null;
         try {
             const lowerType = synthType.toLowerCase();
@@ -132,42 +169,39 @@ const player = {
             
             switch (lowerType) {
                 case 'synth':
-                    synth = new Tone.Synth().connect(this.masterLimiter);
+                    synth = new Tone.Synth();
                     break;
                 case 'amsynth':
-                    synth = new Tone.AMSynth().connect(this.masterLimiter);
+                    synth = new Tone.AMSynth();
                     break;
                 case 'fmsynth':
-                    synth = new Tone.FMSynth().connect(this.masterLimiter);
+                    synth = new Tone.FMSynth();
                     break;
                 case 'monosynth':
-                    synth = new Tone.MonoSynth().connect(this.masterLimiter);
+                    synth = new Tone.MonoSynth();
                     break;
                 case 'polysynth':
-                    synth = new Tone.PolySynth().connect(this.masterLimiter);
+                    synth = new Tone.PolySynth();
                     break;
                 case 'pluck':
-                    synth = new Tone.PluckSynth().connect(this.masterLimiter);
+                    synth = new Tone.PluckSynth();
                     break;
                 case 'membrane':
-                    synth = new Tone.MembraneSynth().connect(this.masterLimiter);
+                    synth = new Tone.MembraneSynth();
                     break;
                 case 'metal':
-                    synth = new Tone.MetalSynth().connect(this.masterLimiter);
+                    synth = new Tone.MetalSynth();
                     break;
                 case 'noise':
-                    synth = new Tone.NoiseSynth().connect(this.masterLimiter);
+                    synth = new Tone.NoiseSynth();
                     break;
                 default:
                     // Default to basic Synth
-                    synth = new Tone.Synth().connect(this.masterLimiter);
+                    synth = new Tone.Synth();
                     console.warn(`Unknown synth type '${synthType}', defaulting to Synth`);
             }
             
             console.log(`Successfully created synth of type ${lowerType}`);
-            
-            // Cache the synth instance
-            this.synths.set(synthType, synth);
             return synth;
         } catch (err) {
             console.error(`Failed to create synth of type ${synthType}:`, err);
@@ -251,6 +285,346 @@ const player = {
         return "8n";
     },
 
+    // Count how many times a track's part has looped, from the order its events fire in
+    trackIteration(trackId, position) {
+        const loop = this.trackLoops.get(trackId) || { iteration: 0, lastPosition: -1 };
+        this.trackLoops.set(trackId, loop);
+        return timeline.loopIteration(loop, position);
+    },
+
+    // Schedule an arrangement's tempo, or its tempo map on the transport so it plays again on every loop
+    scheduleTempo(data, arrangement) {
+        this.tempoEvents.forEach(id => this.transport.clear(id));
+        this.tempoEvents = [];
+
+        const baseTempo = arrangement.tempo || data.tempo || 120;
+        const tempoMap = arrangement.tempoMap || data.tempoMap;
+        if (!tempoMap) {
+            this.transport.bpm.value = baseTempo;
+            console.log(`Setting tempo to ${baseTempo} BPM`);
+            return;
+        }
+
+        const changes = timeline.tempoChanges(tempoMap, baseTempo, timeline.measureBeats(data));
+        if (this.transport.state !== 'started') {
+            this.transport.bpm.value = changes[0].bpm;
+        }
+        changes.forEach(change => {
+            const id = this.transport.schedule(time => {
+                const bpm = this.transport.bpm;
+                bpm.cancelScheduledValues(time);
+                bpm.setValueAtTime(change.bpm, time);
+                if (change.rampTo !== null) {
+                    bpm.linearRampToValueAtTime(change.rampTo, time + timeline.rampSeconds(change));
+                }
+            }, `${change.ticks}i`);
+            this.tempoEvents.push(id);
+        });
+        console.log(`Scheduled ${changes.length} tempo changes`);
+    },
+
+    // Start time and note volume of one hit after its millisecond :nudge and :humanize
+    humanizeHit(trackId, event, iteration, time) {
+        const hit = timeline.humanize(this.seed, trackId, event, iteration);
+        return {
+            // Never earlier than the scheduler can still play
+            time: Math.max(time + hit.offset, Tone.now()),
+            volume: hit.volume
+        };
+    },
+
+    // Tone.js effects by effect name, each made from its full settings
+    effectTypes: {
+        reverb: settings => new Tone.Reverb(settings),
+        delay: settings => new Tone.FeedbackDelay({ ...settings, maxDelay: 4 }),
+        chorus: settings => new Tone.Chorus(settings).start(),
+        distortion: settings => new Tone.Distortion(settings)
+    },
+
+    // Every setting of an effect, with the defaults for the ones its source leaves out
+    effectSettings(effect) {
+        const settings = {};
+        Object.values(parser.effects[effect.type].options).forEach(option => {
+            settings[option.name] = effect.options[option.name] !== undefined ? effect.options[option.name] : option.default;
+        });
+        return settings;
+    },
+
+    /**
+     * Route a track's voices through its effects and channel to the master, creating its strip on first use
+     * The channel also sends to the buses the track names with :send-.
+     * @param {string} trackId - Track whose strip to update
+     * @param {Object} track - Track from extractData
+     */
+    updateStrip(trackId, track) {
+        let strip = this.trackStrips.get(trackId);
+        if (!strip) {
+            const channel = new Tone.Channel().connect(this.masterLimiter);
+            strip = { input: new Tone.Gain().connect(channel), effects: [], channel, mix: {}, sends: new Map(), voices: new Map() };
+            this.trackStrips.set(trackId, strip);
+        }
+        this.mixTrack(trackId, {
+            volume: track.volume,
+            pan: track.pan || 0,
+            mute: track.mute === true,
+            solo: track.solo === true
+        });
+        
+        // Drop voices for a sample or synth the track no longer plays
+        const voiceKey = this.voiceKey(track);
+        strip.voices.forEach((voice, key) => {
+            if (key !== voiceKey) {
+                voice.dispose();
+                strip.voices.delete(key);
+                this.sampleStarts.delete(voice);
+            }
+        });
+        
+        this.updateSends(strip, track.sends || {});
+        this.updateEffects(strip, track.effects || [], strip.channel, `track ${trackId}`);
+    },
+
+    /**
+     * Bring the effects between a strip or bus input and its output up to date
+     * When the effects have the same types in the same order as before, they keep running and
+     * only take the settings that changed, so an edit doesn't cut off a reverb's tail.
+     * @param {Object} chain - Strip or bus, with its input and the effects it runs
+     * @param {Object[]} effects - Effects from extractData
+     * @param {Object} output - Node the last effect connects to
+     * @param {string} label - What the chain belongs to, for logging
+     */
+    updateEffects(chain, effects, output, label) {
+        const sameEffects = effects.length === chain.effects.length &&
+            effects.every((effect, i) => effect.type === chain.effects[i].type);
+        if (sameEffects) {
+            effects.forEach((effect, i) => {
+                const current = chain.effects[i];
+                const settings = this.effectSettings(effect);
+                const changed = Object.keys(settings).filter(name => settings[name] !== current.settings[name]);
+                if (changed.length > 0) {
+                    current.node.set(Object.fromEntries(changed.map(name => [name, settings[name]])));
+                    current.settings = settings;
+                    console.log(`Updated ${effect.type} on ${label}: ${changed.join(', ')}`);
+                }
+            });
+            return;
+        }
+        
+        // Effects were added, removed or reordered, so chain new ones
+        chain.effects.forEach(effect => effect.node.dispose());
+        chain.effects = effects.map(effect => {
+            const settings = this.effectSettings(effect);
+            return { type: effect.type, settings, node: this.effectTypes[effect.type](settings) };
+        });
+        chain.input.disconnect();
+        chain.input.chain(...chain.effects.map(effect => effect.node), output);
+        console.log(`Chained effects on ${label}: ${effects.map(effect => effect.type).join(', ') || 'none'}`);
+    },
+
+    /**
+     * Send a strip's channel to the buses it names, at their levels
+     * Sends leave the channel after its fader, so muting a track also mutes what it sends.
+     * @param {Object} strip - Track strip
+     * @param {Object} sends - Level (0 to 1) by bus name
+     */
+    updateSends(strip, sends) {
+        strip.sends.forEach((send, name) => {
+            if (sends[name] === undefined || !this.buses.has(name)) {
+                send.dispose();
+                strip.sends.delete(name);
+            }
+        });
+        Object.entries(sends).forEach(([name, level]) => {
+            const bus = this.buses.get(name);
+            if (!bus) return;
+            if (!strip.sends.has(name)) {
+                const send = new Tone.Gain(0).connect(bus.input);
+                strip.channel.connect(send);
+                strip.sends.set(name, send);
+            }
+            strip.sends.get(name).gain.rampTo(level, 0.05);
+        });
+    },
+
+    /**
+     * Build the drum machine's shared effect buses, and update the ones that carry over
+     * A bus keeps running across edits like a track's effects, so its tail rings on.
+     * Call before updating the track strips, which send to the buses by name.
+     * @param {Object} data - Drum machine data with its buses
+     */
+    updateBuses(data) {
+        const buses = data.buses || [];
+        this.buses.forEach((bus, name) => {
+            if (!buses.some(other => other.name === name)) {
+                // Disconnect the tracks sending to it first
+                this.trackStrips.forEach(strip => {
+                    if (strip.sends.has(name)) {
+                        strip.sends.get(name).dispose();
+                        strip.sends.delete(name);
+                    }
+                });
+                bus.effects.forEach(effect => effect.node.dispose());
+                bus.input.dispose();
+                this.buses.delete(name);
+            }
+        });
+        buses.forEach(({ name, effects }) => {
+            let bus = this.buses.get(name);
+            if (!bus) {
+                bus = { input: new Tone.Gain().connect(this.masterLimiter), effects: [] };
+                this.buses.set(name, bus);
+            }
+            this.updateEffects(bus, effects, this.masterLimiter, `bus ${name}`);
+        });
+    },
+
+    // Dispose a track's strip with its voices and effects
+    disposeStrip(trackId) {
+        const strip = this.trackStrips.get(trackId);
+        if (!strip) return;
+        
+        strip.voices.forEach(voice => {
+            voice.dispose();
+            this.sampleStarts.delete(voice);
+        });
+        strip.effects.forEach(effect => effect.node.dispose());
+        strip.sends.forEach(send => send.dispose());
+        strip.input.dispose();
+        strip.channel.dispose();
+        this.trackStrips.delete(trackId);
+    },
+
+    /**
+     * Change a track's channel while it plays
+     * Source edits set the channel back to what the source says.
+     * @param {string} trackId - Track whose channel to change
+     * @param {Object} mix - Any of volume (-10 to 10, as :volume), pan (-1 to 1), mute and solo
+     * @returns {boolean} Whether the track has a channel
+     */
+    mixTrack(trackId, mix) {
+        const strip = this.trackStrips.get(trackId);
+        if (!strip) return false;
+
+        const { channel } = strip;
+        if (mix.volume !== undefined && mix.volume !== strip.mix.volume) {
+            channel.volume.rampTo(timeline.trackDecibels(mix.volume), 0.05);
+        }
+        if (mix.pan !== undefined && mix.pan !== strip.mix.pan) {
+            channel.pan.rampTo(mix.pan, 0.05);
+        }
+        if (mix.mute !== undefined) {
+            channel.mute = mix.mute;
+        }
+        if (mix.solo !== undefined) {
+            channel.solo = mix.solo;
+        }
+        Object.assign(strip.mix, mix);
+        return true;
+    },
+
+    // Key of the voice a track plays with: its synth type or its sample
+    voiceKey(track) {
+        return track.isSynth ? `synth:${track.synthType}` : `sample:${track.sample}`;
+    },
+
+    // The track's own player or synth for an event, created on first use and connected to its strip
+    trackVoice(trackId, event) {
+        const strip = this.trackStrips.get(trackId);
+        if (!strip) return null;
+        
+        const key = this.voiceKey(event);
+        if (!strip.voices.has(key)) {
+            let voice = null;
+            if (event.isSynth) {
+                voice = this.createSynth(event.synthType);
+            } else if (this.players.has(event.sample)) {
+                // Tracks share the loaded sample, each with a player of its own
+                voice = new Tone.Player(this.players.get(event.sample).buffer);
+                voice.fadeIn = 0.005;
+                voice.fadeOut = 0.01;
+            }
+            if (!voice) return null;
+            strip.voices.set(key, voice.connect(strip.input));
+        }
+        return strip.voices.get(key);
+    },
+
+    // Play one event of a track at an audio context time, if the track is on and the note's conditions pass
+    triggerEvent(trackId, event, time) {
+        const isTrackActive = this.trackStates.get(trackId);
+        
+        // Count loops even while muted so conditions stay in step
+        const iteration = this.trackIteration(trackId, event.position);
+        
+        if (!isTrackActive || !timeline.shouldTrigger(this.seed, trackId, event, iteration)) {
+            return;
+        }
+        const hit = this.humanizeHit(trackId, event, iteration, time);
+        
+        // Combine note and arrangement volume, the track's channel adds the track's own
+        const decibels = timeline.noteDecibels(hit.volume, event);
+        
+        // First check if this is a synth event
+        if (event.isSynth === true && event.synthType) {
+            const synth = this.trackVoice(trackId, event);
+            if (!synth) {
+                return;
+            }
+            
+            // Convert pitch to note name (if pitch is a MIDI number)
+            const note = typeof event.pitch === 'number' ?
+                this.midiToNoteName(event.pitch + 60) : // Add 60 to get middle C range
+                event.pitch || "C4"; // Default to C4 if no pitch specified
+            
+            // Use ramping instead of direct assignment
+            synth.volume.rampTo(decibels, 0.01);
+            
+            // Determine note duration - use event duration if available, otherwise default to "8n"
+            const duration = event.duration ?
+                this.convertDurationToToneFormat(event.duration) :
+                "8n";
+            
+            synth.triggerAttackRelease(note, duration, hit.time);
+            console.log(`Triggered synth ${event.synthType} with note ${note}, duration: ${duration}`);
+            return;
+        }
+        
+        // Handle sample playback
+        const player = this.trackVoice(trackId, event);
+        if (!player) {
+            console.warn(`Player not found for sample: ${event.sample}`);
+            return;
+        }
+        
+        // Apply pitch adjustment if available
+        player.playbackRate = event.pitch !== 0 ? Math.pow(2, event.pitch / 12) : 1;
+        
+        // Apply volume with a 10ms ramp to prevent pops
+        player.volume.rampTo(decibels, 0.01);
+        
+        // A player can't start twice at the same moment, so keep hits on one player a millisecond apart
+        const lastStart = this.sampleStarts.get(player);
+        const startTime = lastStart !== undefined && hit.time <= lastStart ? lastStart + 0.001 : hit.time;
+        this.sampleStarts.set(player, startTime);
+        player.start(startTime);
+    },
+
+    // Create a looping part playing a track's events, and keep it with what it was given
+    createPart(trackId, events, bars) {
+        const part = new Tone.Part((time, event) => this.triggerEvent(trackId, event, time), []);
+        
+        // Each track loops over its own bars
+        part.loop = true;
+        part.loopEnd = `${bars}m`;
+        
+        events.forEach(event => part.add(event));
+        console.log(`Added ${events.length} events to part for track ${trackId}, looping every ${bars}m`);
+        
+        this.parts.set(trackId, part);
+        this.partContents.set(trackId, { events, bars });
+        return part;
+    },
+
     // Create parts from drum machine data
     createParts(data) {
         if (!data || !data.arrangements) {
@@ -258,7 +632,7 @@ const player = {
             return;
         }
         
-        const activeArrangement = data.arrangements.find(arr => arr.active);
+        const activeArrangement = this.playingArrangement(data);
         if (!activeArrangement) {
             console.warn('No active arrangement found');
             return;
@@ -269,387 +643,387 @@ const player = {
         // Clear existing parts
         this.parts.forEach(part => part.dispose());
         this.parts.clear();
+        this.partContents.clear();
         this.trackStates.clear();
+        this.trackLoops.clear();
+        this.seed = data.seed;
+        this.currentData = data;
         
-        // Set tempo from drum machine data
-        if (data.tempo) {
-            this.transport.bpm.value = data.tempo;
-            console.log(`Setting tempo to ${data.tempo} BPM`);
-        }
+        // Set tempo or tempo map from the arrangement or drum machine data
+        this.scheduleTempo(data, activeArrangement);
         
-        // Set time signature if provided
-        const timeSignature = data.signature || 4;
-        console.log(`Using time signature: ${timeSignature}/4`);
+        // Set time signature if provided, so "1m" is a whole measure of it
+        this.transport.timeSignature = [data.signature || 4, data.beatUnit || 4];
+        console.log(`Using time signature: ${data.signature || 4}/${data.beatUnit || 4}`);
         
         // Set arrangement loop length based on bars
         const arrangementBars = activeArrangement.bars || 1;
         this.transport.setLoopPoints(0, `${arrangementBars}m`);
         console.log(`Setting arrangement loop length to ${arrangementBars} bars`);
-        
-        // Get arrangement volume (default to 0 if not specified)
-        const arrangementVolume = activeArrangement.volume || 0;
-        console.log(`Arrangement volume: ${arrangementVolume}`);
+        this.scheduleSong(data, activeArrangement);
 
-        // Create parts for each track
+        // Create parts for each track, keeping the strips of tracks that carry over so their effects ring on
+        const trackIds = timeline.trackIds(activeArrangement.tracks);
+        this.updateBuses(data);
+        Array.from(this.trackStrips.keys())
+            .filter(trackId => !trackIds.includes(trackId))
+            .forEach(trackId => this.disposeStrip(trackId));
         activeArrangement.tracks.forEach((track, trackIndex) => {
-            // Generate a unique track ID using both name and index
-            const trackId = `${track.name}_${trackIndex}`;
+            // Generate a unique track ID from its name
+            const trackId = trackIds[trackIndex];
             console.log(`Processing track ${trackId}, active: ${track.active}, time: ${track.time}`);
             
             // Store track state with unique ID
             this.trackStates.set(trackId, track.active);
             
-            const events = [];
-            
-            // Get track bars - this is the track's individual loop length
-            // Only default to arrangement bars if not specified
-            const trackBars = track.bars !== undefined ? track.bars : arrangementBars;
-            console.log(`Track ${trackId} bars: ${trackBars}`);
-            
-            // Calculate how many notes we can fit in the track based on bars and time signature
-            // time parameter represents subdivisions per measure
-            const notesPerMeasure = track.time || 16;
-            const totalNotes = notesPerMeasure * trackBars;
-            
-            // Get track volume (default to 0 if not specified)
-            const trackVolume = track.volume || 0;
-            console.log(`Track ${trackId} volume: ${trackVolume}`);
-            
-            // Convert notes to timed events
-            track.notes.forEach((note, index) => {
-                // Skip notes that exceed the track's length
-                if (index >= totalNotes) {
-                    console.warn(`Note at index ${index} exceeds track length (${totalNotes}), skipping`);
-                    return;
-                }
-                
-                if (note.active) {
-                    // Calculate time based on the time signature and track's time parameter
-                    const beatsPerMeasure = timeSignature;
-                    const subdivision = beatsPerMeasure / notesPerMeasure;
-                    
-                    // Calculate which measure this note belongs to
-                    const measure = Math.floor(index / notesPerMeasure);
-                    
-                    // Calculate position within the measure
-                    const positionInMeasure = index % notesPerMeasure;
-                    
-                    // Calculate beat and sixteenth
-                    const beat = Math.floor(positionInMeasure * subdivision);
-                    const remainder = (positionInMeasure * subdivision) % 1;
-                    const sixteenth = Math.floor(remainder * 4);
-                    
-                    const time = `${measure}:${beat}:${sixteenth}`;
-                    console.log(`Note ${index} time: ${time} (measure: ${measure}, beat: ${beat}, sixteenth: ${sixteenth})`);
-                    
-                    events.push({
-                        time,
-                        sample: track.sample,
-                        pitch: note.pitch || 0,
-                        volume: note.volume || 0,
-                        trackVolume: trackVolume,
-                        arrangementVolume: arrangementVolume,
-                        // Add synth information if this is a synth track
-                        isSynth: track.isSynth || false,
-                        synthType: track.synthType || null,
-                        // Add duration for synth notes
-                        duration: note.duration
-                    });
-                    
-                    // Debug log for synth events
-                    if (track.isSynth) {
-                        console.log(`Created synth event: ${track.synthType} at time ${time} with pitch ${note.pitch || 0}, duration: ${note.duration || 'default'}`);
-                    }
-                }
-            });
-
-            console.log(`Created ${events.length} events for track ${trackId}`);
+            this.updateStrip(trackId, track);
+            this.createPart(trackId, timeline.compileTrack(track, data, activeArrangement), timeline.trackBars(track, activeArrangement));
+        });
+    },
 
-            // Create part for this track
-            const part = new Tone.Part((time, event) => {
-                const isTrackActive = this.trackStates.get(trackId);
-                console.log(`Processing event for track ${trackId}, active: ${isTrackActive}, isSynth: ${event.isSynth}, synthType: ${event.synthType}, sample: ${event.sample}`);
-                
-                if (isTrackActive) {
-                    // First check if this is a synth event
-                    if (event.isSynth === true && event.synthType) {
-                        console.log(`SYNTH EVENT DETECTED: ${event.synthType} with pitch ${event.pitch}`);
-                        // Handle synth playback
-                        console.log(`Attempting to play synth: ${event.synthType} with pitch ${event.pitch}`);
-                        console.log(`Full event details: ${JSON.stringify(event)}`);
-                        
-                        const synth = this.getSynth(event.synthType);
-                        console.log(`Got synth instance: ${synth ? 'Yes' : 'No'}`);
-                        
-                        if (synth) {
-                            // Convert pitch to note name (if pitch is a MIDI number)
-                            let note;
-                            if (typeof event.pitch === 'number') {
-                                note = this.midiToNoteName(event.pitch + 60); // Add 60 to get middle C range
-                                console.log(`Converted pitch ${event.pitch} to note ${note}`);
-                            } else {
-                                note = event.pitch || "C4"; // Default to C4 if no pitch specified
-                                console.log(`Using direct note ${note}`);
-                            }
-                            
-                            // Apply volume adjustments
-                            const noteVolume = event.volume || 0;
-                            const combinedVolume = noteVolume + (event.trackVolume / 10) + (event.arrangementVolume / 10);
-                            synth.volume.rampTo(combinedVolume * 20, 0.01); // Use ramping instead of direct assignment
-                            
-                            // Determine note duration - use event duration if available, otherwise default to "8n"
-                            const duration = event.duration ? 
-                                this.convertDurationToToneFormat(event.duration) : 
-                                "8n";
-                            
-                            // Trigger the synth
-                            synth.triggerAttackRelease(note, duration, time);
-                            console.log(`Triggered synth ${event.synthType} with note ${note}, duration: ${duration}`);
-                        }
-                    } else {
-                        // Handle sample playback
-                        const player = this.players.get(event.sample);
-                        if (player) {
-                            // Apply pitch and volume adjustments if available
-                            if (event.pitch !== 0) {
-                                player.playbackRate = Math.pow(2, event.pitch / 12);
-                            } else {
-                                player.playbackRate = 1;
-                            }
-                            
-                            // Apply combined volume adjustment with ramping to prevent pops
-                            const noteVolume = event.volume || 0;
-                            const combinedVolume = noteVolume + (event.trackVolume / 10) + (event.arrangementVolume / 10);
-                            
-                            // Scale to a reasonable dB range (-40dB to +6dB) with ramping
-                            player.volume.rampTo(combinedVolume * 20, 0.01); // 10ms ramp
-                            
-                            // Add a tiny random offset to prevent multiple samples starting at exact same time
-                            const tinyOffset = Math.random() * 0.005; // 0-5ms random offset
-                            player.start(time + tinyOffset);
-                        } else {
-                            console.warn(`Player not found for sample: ${event.sample}`);
-                        }
-                    }
-                }
-            }, []);
+    /**
+     * Transport position of the next quantize boundary, where a staged edit is swapped in
+     * The swap runs one tick early so the new parts are in place for the boundary's own notes.
+     * @param {string} quantize - 'beat', 'bar' or 'loop', the player's quantize setting when not given
+     * @returns {number} Position in ticks, inside the current loop
+     */
+    swapTicks(quantize = this.quantize) {
+        const data = this.currentData || {};
+        const arrangement = (data.arrangements || []).find(arr => arr.id === this.currentArrangementId);
+        const measureTicks = timeline.measureBeats(data) * timeline.ppq;
+        const loopTicks = timeline.arrangementTicks(data, arrangement || {});
 
-            part.loop = true;
-            
-            // Set the loop end based on the track's bars
-            // This allows each track to have its own loop length
-            part.loopEnd = `${trackBars}m`;
-            console.log(`Setting track ${trackId} loop length to ${trackBars}m`);
-            
-            // Add all events to the part
-            events.forEach(event => part.add(event));
-            console.log(`Added ${events.length} events to part for track ${trackId}`);
-            
-            this.parts.set(trackId, part);
-        });
+        const ticks = this.transport.ticks;
+        let boundary;
+        if (quantize === 'beat') {
+            // Beats follow the meter's groups, so in 6/8 they are dotted quarters
+            const beats = timeline.beatStarts(data);
+            const measureStart = Math.floor(ticks / measureTicks) * measureTicks;
+            const starts = [...beats, ...beats.map(start => start + measureTicks), 2 * measureTicks]
+                .map(start => measureStart + start);
+            boundary = starts.find(start => start - 1 > ticks);
+        } else {
+            const quantum = { bar: measureTicks, loop: loopTicks }[quantize] || measureTicks;
+            boundary = (Math.floor(ticks / quantum) + 1) * quantum;
+            if (boundary - 1 <= ticks) {
+                boundary += quantum;
+            }
+        }
+        // Boundaries past the loop end come round again after the loop wraps
+        return (boundary > loopTicks ? boundary - loopTicks : boundary) - 1;
     },
 
     // Update parts with new data
+    // While playing, the edit is staged and swapped in at the next quantize boundary without stopping
     update(data) {
         if (!data || !data.arrangements) {
             console.error('Invalid data format for update');
             return;
         }
         
+        if (this.transport.state !== 'started') {
+            this.swap(data);
+            return;
+        }
+        
+        // Later edits replace the staged one, so only the latest is swapped in
+        this.pendingData = data;
+        if (this.swapEvent === null) {
+            const ticks = this.swapTicks();
+            this.swapEvent = this.transport.scheduleOnce(() => {
+                const pending = this.pendingData;
+                this.swapEvent = null;
+                this.pendingData = null;
+                this.swap(pending);
+            }, `${ticks}i`);
+            console.log(`Staged update for the next ${this.quantize} at ${ticks}i`);
+        }
+    },
+
+    /**
+     * Bring a playing part's events in line with a new list
+     * Events that are unchanged stay in the part; only the ones that differ are removed or added.
+     * @param {string} trackId - Track whose part to patch
+     * @param {Object[]} events - The track's new events
+     * @param {number} bars - The track's loop length in bars
+     */
+    patchPart(trackId, events, bars) {
+        const part = this.parts.get(trackId);
+        const contents = this.partContents.get(trackId) || { events: [], bars };
+        
+        // Old events by their contents; a part can hold equal events, so keep a list of each
+        const unmatched = new Map();
+        contents.events.forEach(event => {
+            const key = JSON.stringify(event);
+            unmatched.set(key, (unmatched.get(key) || []).concat(event));
+        });
+        
+        const kept = [];
+        let added = 0;
+        events.forEach(event => {
+            const matches = unmatched.get(JSON.stringify(event));
+            if (matches && matches.length > 0) {
+                kept.push(matches.shift());
+            } else {
+                part.add(event);
+                kept.push(event);
+                added++;
+            }
+        });
+        
+        // Tone finds an event to remove by the object that was added
+        let removed = 0;
+        unmatched.forEach(matches => matches.forEach(event => {
+            part.remove(event);
+            removed++;
+        }));
+        
+        if (bars !== contents.bars) {
+            part.loopEnd = `${bars}m`;
+        }
+        this.partContents.set(trackId, { events: kept, bars });
+        console.log(`Patched track ${trackId}: ${added} added, ${removed} removed`);
+    },
+
+    // Replace the playing parts with ones built from new data
+    swap(data) {
+        // Keep the song's place over edits, starting from the top when a song is added
+        if (!data.song) {
+            this.songPosition = null;
+        } else if (!this.songPosition || this.songPosition.index >= data.song.entries.length) {
+            this.songPosition = { index: 0, repeat: 0 };
+        }
+        
         // Check if active arrangement changed
-        const activeArrangement = data.arrangements.find(arr => arr.active);
+        const activeArrangement = this.playingArrangement(data);
         const currentArrangementId = this.currentArrangementId;
         
-        // If active arrangement changed, recreate all parts
-        if (!activeArrangement || activeArrangement.id !== currentArrangementId) {
+        if (!activeArrangement) {
+            console.warn('No active arrangement found, silencing parts');
+            this.parts.forEach(part => part.dispose());
+            this.parts.clear();
+            this.partContents.clear();
+            this.currentArrangementId = null;
+            this.scheduleSong(data, null);
+            this.playbackChanged();
+            return;
+        }
+        
+        // If active arrangement changed, recreate all parts and keep the transport running
+        if (activeArrangement.id !== currentArrangementId) {
             console.log('Active arrangement changed, recreating parts');
-            this.stop();
             this.createParts(data);
-            if (activeArrangement) {
-                this.currentArrangementId = activeArrangement.id;
-                // Restart all parts
-                this.parts.forEach(part => part.start(0));
-                this.transport.start();
-            }
+            this.currentArrangementId = activeArrangement.id;
+            this.parts.forEach(part => part.start(0));
+            this.playbackChanged();
             return;
         }
 
         // Update tempo if it changed
-        if (data.tempo) {
-            this.transport.bpm.value = data.tempo;
-        }
+        this.scheduleTempo(data, activeArrangement);
+        
+        // Update time signature before measuring the loop in bars
+        this.transport.timeSignature = [data.signature || 4, data.beatUnit || 4];
         
         // Update arrangement loop length if bars changed
         const arrangementBars = activeArrangement.bars || 1;
         this.transport.setLoopPoints(0, `${arrangementBars}m`);
+        this.scheduleSong(data, activeArrangement);
         
         // If same arrangement, just update tracks
         console.log('Updating parts with new data');
         
-        // Get arrangement volume
-        const arrangementVolume = activeArrangement.volume || 0;
+        // Loop counts carry over so trig conditions keep their place while editing
+        this.seed = data.seed;
+        this.currentData = data;
         
-        // Clear existing parts to avoid stale tracks
-        this.parts.forEach(part => part.dispose());
-        this.parts.clear();
-        this.trackStates.clear();
+        // Remove the parts of tracks that are gone; the rest are patched below
+        const trackIds = timeline.trackIds(activeArrangement.tracks);
+        this.updateBuses(data);
+        this.parts.forEach((part, trackId) => {
+            if (!trackIds.includes(trackId)) {
+                console.log(`Removing track ${trackId}`);
+                part.dispose();
+                this.parts.delete(trackId);
+                this.partContents.delete(trackId);
+                this.trackStates.delete(trackId);
+                this.trackLoops.delete(trackId);
+                this.disposeStrip(trackId);
+            }
+        });
         
-        // Recreate all tracks with unique IDs
         activeArrangement.tracks.forEach((track, trackIndex) => {
-            // Generate a unique track ID using both name and index
-            const trackId = `${track.name}_${trackIndex}`;
+            const trackId = trackIds[trackIndex];
             console.log(`Updating track ${trackId}, active: ${track.active}`);
             
-            // Update track state with unique ID
+            // Muting only flips the track state, the part keeps its events
             this.trackStates.set(trackId, track.active);
+            this.updateStrip(trackId, track);
             
-            // Get track bars - this is the track's individual loop length
-            // Only default to arrangement bars if not specified
-            const trackBars = track.bars !== undefined ? track.bars : arrangementBars;
-            
-            // Calculate how many notes we can fit in the track based on bars and time signature
-            const timeSignature = data.signature || 4;
-            const notesPerMeasure = track.time || 16;
-            const totalNotes = notesPerMeasure * trackBars;
-            
-            // Get track volume
-            const trackVolume = track.volume || 0;
-            
-            // Create new part for this track
-            const part = new Tone.Part((time, event) => {
-                const isTrackActive = this.trackStates.get(trackId);
-                console.log(`Processing event for track ${trackId}, active: ${isTrackActive}, isSynth: ${event.isSynth}, synthType: ${event.synthType}, sample: ${event.sample}`);
-                
-                if (isTrackActive) {
-                    // First check if this is a synth event
-                    if (event.isSynth === true && event.synthType) {
-                        console.log(`SYNTH EVENT DETECTED: ${event.synthType} with pitch ${event.pitch}`);
-                        // Handle synth playback
-                        console.log(`Attempting to play synth: ${event.synthType} with pitch ${event.pitch}`);
-                        console.log(`Full event details: ${JSON.stringify(event)}`);
-                        
-                        const synth = this.getSynth(event.synthType);
-                        console.log(`Got synth instance: ${synth ? 'Yes' : 'No'}`);
-                        
-                        if (synth) {
-                            // Convert pitch to note name (if pitch is a MIDI number)
-                            let note;
-                            if (typeof event.pitch === 'number') {
-                                note = this.midiToNoteName(event.pitch + 60); // Add 60 to get middle C range
-                                console.log(`Converted pitch ${event.pitch} to note ${note}`);
-                            } else {
-                                note = event.pitch || "C4"; // Default to C4 if no pitch specified
-                                console.log(`Using direct note ${note}`);
-                            }
-                            
-                            // Apply volume adjustments
-                            const noteVolume = event.volume || 0;
-                            const combinedVolume = noteVolume + (event.trackVolume / 10) + (event.arrangementVolume / 10);
-                            synth.volume.rampTo(combinedVolume * 20, 0.01); // Use ramping instead of direct assignment
-                            
-                            // Determine note duration - use event duration if available, otherwise default to "8n"
-                            const duration = event.duration ? 
-                                this.convertDurationToToneFormat(event.duration) : 
-                                "8n";
-                            
-                            // Trigger the synth
-                            synth.triggerAttackRelease(note, duration, time);
-                            console.log(`Triggered synth ${event.synthType} with note ${note}, duration: ${duration}`);
-                        }
-                    } else {
-                        // Handle sample playback
-                        const player = this.players.get(event.sample);
-                        if (player) {
-                            // Apply pitch and volume adjustments if available
-                            if (event.pitch !== 0) {
-                                player.playbackRate = Math.pow(2, event.pitch / 12);
-                            } else {
-                                player.playbackRate = 1;
-                            }
-                            
-                            // Apply combined volume adjustment with ramping to prevent pops
-                            const noteVolume = event.volume || 0;
-                            const combinedVolume = noteVolume + (event.trackVolume / 10) + (event.arrangementVolume / 10);
-                            
-                            // Scale to a reasonable dB range (-40dB to +6dB) with ramping
-                            player.volume.rampTo(combinedVolume * 20, 0.01); // 10ms ramp
-                            
-                            // Add a tiny random offset to prevent multiple samples starting at exact same time
-                            const tinyOffset = Math.random() * 0.005; // 0-5ms random offset
-                            player.start(time + tinyOffset);
-                        } else {
-                            console.warn(`Player not found for sample: ${event.sample}`);
-                        }
-                    }
-                }
-            }, []);
-            
-            // Set loop properties
-            part.loop = true;
-            part.loopEnd = `${trackBars}m`;
-            console.log(`Setting track ${trackId} loop length to ${trackBars}m`);
-            
-            // Create an array to store events for this track
-            const events = [];
-            
-            // Add events to the part
-            track.notes.forEach((note, index) => {
-                // Skip notes that exceed the track's length
-                if (index >= totalNotes) {
-                    return;
-                }
+            // Patch the existing part, or create one for a new track
+            const events = timeline.compileTrack(track, data, activeArrangement);
+            const trackBars = timeline.trackBars(track, activeArrangement);
+            if (this.parts.has(trackId)) {
+                this.patchPart(trackId, events, trackBars);
+            } else {
+                this.createPart(trackId, events, trackBars).start(0);
+            }
+        });
+        this.playbackChanged();
+    },
+
+    // Arrangement to play: the one cued from the launcher, the song's current entry, or the first active arrangement
+    playingArrangement(data) {
+        const launched = this.launched !== null ? data.arrangements.find(arr => arr.name === this.launched) : undefined;
+        if (launched) {
+            return launched;
+        }
+        // Data that isn't swapped in yet may have fewer song entries than the position
+        const entry = data.song && this.songPosition ? data.song.entries[this.songPosition.index] : undefined;
+        if (entry) {
+            return timeline.songArrangement(data, entry);
+        }
+        return data.arrangements.find(arr => arr.active);
+    },
+
+    // Schedule the song's move to its next entry at the end of every loop of an arrangement
+    scheduleSong(data, arrangement) {
+        this.songEvents.forEach(id => this.transport.clear(id));
+        this.songEvents = [];
+        if (!data.song) {
+            return;
+        }
+        
+        // Like a staged edit, the move runs a tick early so the next arrangement's parts are in place
+        const ticks = timeline.arrangementTicks(data, arrangement) - 1;
+        this.songEvents.push(this.transport.schedule(() => this.advanceSong(), `${ticks}i`));
+    },
+
+    // Count a loop of the song's entry, and move on to the next entry once it has played all of them
+    advanceSong() {
+        const data = this.currentData;
+        const position = this.songPosition;
+        // The song waits while an arrangement cued from the launcher plays
+        if (!data || !data.song || !position || this.launched !== null) {
+            return;
+        }
+        
+        position.repeat++;
+        if (position.repeat >= data.song.entries[position.index].repeat) {
+            position.index++;
+            position.repeat = 0;
+        }
+        if (position.index >= data.song.entries.length) {
+            if (!data.song.loop) {
+                console.log('Song finished');
+                this.stop();
+                return;
+            }
+            position.index = 0;
+        }
+        
+        const arrangement = this.playingArrangement(data);
+        if (arrangement.id !== this.currentArrangementId) {
+            console.log(`Song moving to ${arrangement.name}`);
+            const current = data.arrangements.find(arr => arr.id === this.currentArrangementId);
+            this.createParts(data);
+            this.currentArrangementId = arrangement.id;
+            this.parts.forEach(part => part.start(0));
+            this.wrapAt(timeline.arrangementTicks(data, current || arrangement), arrangement);
+        }
+        this.playbackChanged();
+    },
+
+    // Play a new arrangement from its first bar: the transport wraps round to the start at a boundary, then loops over the arrangement
+    wrapAt(ticks, arrangement) {
+        if (this.wrapEvent !== null) {
+            this.transport.clear(this.wrapEvent);
+        }
+        this.transport.setLoopPoints(0, `${ticks}i`);
+        this.wrapEvent = this.transport.scheduleOnce(() => {
+            this.wrapEvent = null;
+            this.transport.setLoopPoints(0, `${arrangement.bars || 1}m`);
+        }, '0i');
+    },
+
+    /**
+     * Cue a named arrangement, as the launcher buttons do
+     * While playing it starts from its first bar at the next bar. A song jumps to the
+     * arrangement's first entry; otherwise the arrangement plays in place of :active
+     * until playback stops.
+     * @param {string} name - Name of the arrangement
+     * @param {Object} data - Drum machine data to find it in, the playing data when not given
+     * @returns {boolean} Whether an arrangement has that name
+     */
+    cue(name, data = this.currentData) {
+        if (!data || !data.arrangements.some(arr => arr.name === name)) {
+            console.warn(`No arrangement named ${name} to cue`);
+            return false;
+        }
+        
+        if (this.transport.state !== 'started') {
+            this.launch(data, name);
+            this.playbackChanged();
+            return true;
+        }
+        
+        // A later cue before the bar replaces this one
+        this.cued = name;
+        if (this.cueEvent === null) {
+            const ticks = this.swapTicks('bar');
+            this.cueEvent = this.transport.scheduleOnce(() => {
+                const cued = this.cued;
+                this.cueEvent = null;
+                this.cued = null;
                 
-                if (note.active) {
-                    // Calculate time based on the time signature and track's time parameter
-                    const beatsPerMeasure = timeSignature;
-                    const subdivision = beatsPerMeasure / notesPerMeasure;
-                    
-                    // Calculate which measure this note belongs to
-                    const measure = Math.floor(index / notesPerMeasure);
-                    
-                    // Calculate position within the measure
-                    const positionInMeasure = index % notesPerMeasure;
-                    
-                    // Calculate beat and sixteenth
-                    const beat = Math.floor(positionInMeasure * subdivision);
-                    const remainder = (positionInMeasure * subdivision) % 1;
-                    const sixteenth = Math.floor(remainder * 4);
-                    
-                    const time = `${measure}:${beat}:${sixteenth}`;
-                    
-                    // Create the event object
-                    const event = {
-                        time,
-                        sample: track.sample,
-                        pitch: note.pitch || 0,
-                        volume: note.volume || 0,
-                        trackVolume: trackVolume,
-                        arrangementVolume: arrangementVolume,
-                        // Add synth information if this is a synth track
-                        isSynth: track.isSynth || false,
-                        synthType: track.synthType || null,
-                        // Add duration for synth notes
-                        duration: note.duration
-                    };
-                    
-                    // Add the event to our array
-                    events.push(event);
-                    
-                    // Debug log for synth events in update method
-                    if (track.isSynth) {
-                        console.log(`Update: Created synth event: ${track.synthType} at time ${time} with pitch ${note.pitch || 0}, duration: ${note.duration || 'default'}`);
-                    }
+                const previousId = this.currentArrangementId;
+                this.launch(this.currentData, cued);
+                this.swap(this.currentData);
+                if (this.currentArrangementId !== previousId) {
+                    this.wrapAt(ticks + 1, this.playingArrangement(this.currentData));
                 }
-            });
-            
-            // Add all events to the part
-            events.forEach(event => part.add(event));
-            console.log(`Added ${events.length} events to part for track ${trackId}`);
-            
-            // Store and start the part
-            this.parts.set(trackId, part);
-            part.start(0);
-        });
+            }, `${ticks}i`);
+            console.log(`Cued ${name} for the next bar at ${ticks}i`);
+        }
+        this.playbackChanged();
+        return true;
+    },
+
+    // Make a named arrangement the one to play, through the song when it has an entry for it
+    launch(data, name) {
+        const index = data.song ? data.song.entries.findIndex(entry => entry.name === name) : -1;
+        if (index !== -1) {
+            this.songPosition = { index, repeat: 0 };
+            this.launched = null;
+        } else {
+            this.launched = name;
+        }
+    },
+
+    // Tell the page which arrangement is playing or cued, and where the song is with null when no song is playing
+    playbackChanged() {
+        if (typeof window === 'undefined') {
+            return;
+        }
+        const playing = this.currentData && this.currentArrangementId !== null ?
+            this.currentData.arrangements.find(arr => arr.id === this.currentArrangementId) : null;
+        window.dispatchEvent(new CustomEvent('arrangementChange', {
+            detail: { playing: playing ? playing.name || null : null, cued: this.cued }
+        }));
+        
+        const song = this.currentData && this.currentData.song;
+        const position = this.songPosition;
+        const entry = song && position ? song.entries[position.index] : null;
+        window.dispatchEvent(new CustomEvent('songChange', {
+            detail: entry ? {
+                index: position.index,
+                repeat: position.repeat,
+                name: entry.name,
+                repeats: entry.repeat,
+                entries: song.entries.length,
+                loop: song.loop
+            } : null
+        }));
     },
 
     // Start playback
@@ -659,11 +1033,13 @@ const player = {
             return;
         }
         
+        // A song starts from its first entry, or the one cued before starting
+        this.songPosition = data.song ? (this.songPosition || { index: 0, repeat: 0 }) : null;
         this.createParts(data);
         this.currentStep = 0;
         
         // Store current arrangement ID
-        const activeArrangement = data.arrangements.find(arr => arr.active);
+        const activeArrangement = this.playingArrangement(data);
         if (activeArrangement) {
             this.currentArrangementId = activeArrangement.id;
         } else {
@@ -676,6 +1052,7 @@ const player = {
         
         // Start transport
         this.transport.start();
+        this.playbackChanged();
         console.log('Playback started');
     },
 
@@ -690,6 +1067,30 @@ const player = {
             part.dispose();
         });
         this.parts.clear();
+        this.partContents.clear();
+        
+        // Clear the tempo map, the next start schedules it again
+        this.tempoEvents.forEach(id => this.transport.clear(id));
+        this.tempoEvents = [];
+        
+        // Drop any staged edit, the next start plays the latest data
+        if (this.swapEvent !== null) {
+            this.transport.clear(this.swapEvent);
+            this.swapEvent = null;
+        }
+        this.pendingData = null;
+        
+        // The next start plays a song from the top, and the arrangements as written
+        this.songEvents.forEach(id => this.transport.clear(id));
+        this.songEvents = [];
+        this.songPosition = null;
+        [this.cueEvent, this.wrapEvent].filter(id => id !== null).forEach(id => this.transport.clear(id));
+        this.cueEvent = null;
+        this.wrapEvent = null;
+        this.cued = null;
+        this.launched = null;
+        this.currentArrangementId = null;
+        this.playbackChanged();
 
         if (typeof window !== 'undefined') {
             window.dispatchEvent(new CustomEvent('stepChange', { 
@@ -699,6 +1100,13 @@ const player = {
         console.log('Playback stopped');
     },
     
+    // Set when edits made during playback take effect: 'beat', 'bar' or 'loop'
+    setQuantize(quantize) {
+        if (['beat', 'bar', 'loop'].includes(quantize)) {
+            this.quantize = quantize;
+        }
+    },
+    
     // Set tempo
     setTempo(bpm) {
         if (typeof bpm === 'number' && bpm > 0) {
@@ -0,0 +1,91 @@
+// Checks for the parser and formatter, run with `node test.js`
+
+const assert = require('node:assert');
+const parser = require('./parser.js');
+const formatter = require('./formatter.js');
+
+/**
+ * Run one named check and report the result
+ * @param {string} name - What the check covers
+ * @param {Function} fn - Throws when the check fails
+ */
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        process.exitCode = 1;
+        console.log(`not ok - ${name}\n  ${error.message}`);
+    }
+}
+
+/**
+ * Parse a buffer and extract its drum machine data
+ * @param {string} source - Buffer text
+ * @returns {Object} Drum machine data with diagnostics
+ */
+function extract(source) {
+    return parser.extractData(parser.parse(source));
+}
+
+/**
+ * Codes of the diagnostics with the given severity
+ * @param {Object} data - Result of extractData
+ * @param {string} severity - 'error' or 'warning'
+ * @returns {string[]} Diagnostic codes
+ */
+function codes(data, severity) {
+    return data.diagnostics.filter(d => d.severity === severity).map(d => d.code);
+}
+
+check('a leading atom does not hide the drum machine', () => {
+    const data = extract('kick\n(drum-machine "m" (arrangement :active 1 (track "k" kick (pattern "x..."))))');
+    assert.deepStrictEqual(codes(data, 'error'), []);
+    assert.strictEqual(data.name, 'm');
+});
+
+check('a buffer without a drum machine reports where', () => {
+    const data = extract('(define a 1)\nkick');
+    const error = data.diagnostics.find(d => d.code === 'not-a-drum-machine');
+    assert.ok(error);
+    assert.deepStrictEqual(error.loc.start, { line: 2, column: 1, offset: 13 });
+});
+
+check('a definition named like a sample leaves the sample slot alone', () => {
+    const data = extract('(define kick 1)\n(drum-machine "m" (arrangement :active 1 (track "k" kick :active 1 :volume kick (pattern "x..."))))');
+    const track = data.arrangements[0].tracks[0];
+    assert.strictEqual(track.sample, 'kick');
+    assert.strictEqual(track.volume, 1);
+});
+
+check(':time must be a whole number of steps from 1 up', () => {
+    ['-3', '2.5', '0'].forEach(value => {
+        const source = `(drum-machine "m" (arrangement :active 1 (track "k" kick :active 1 :time ${value} (pattern "x..."))))`;
+        const data = extract(source);
+        const errors = data.diagnostics.filter(d => d.code === 'out-of-range');
+        assert.strictEqual(errors.length, 1, `:time ${value}`);
+        assert.strictEqual(errors[0].loc.start.offset, source.indexOf(':time') + ':time '.length);
+        assert.ok(!data.diagnostics.some(d => d.code === 'notes-past-end'), `:time ${value}`);
+        assert.strictEqual(data.arrangements[0].tracks[0].time, 16);
+    });
+});
+
+check('formatting a buffer that starts with an atom leaves it unchanged', () => {
+    const sources = [
+        'kick ; scratch\n\n(drum-machine "m"\n  (arrangement :active 1\n    (track "k" kick :active 1\n      (pattern "x...")\n    )\n  )\n)\n',
+        '42\n'
+    ];
+    sources.forEach(source => assert.strictEqual(formatter.format(source), source));
+});
+
+check('arrangement ids survive formatting drum machine data', () => {
+    const source = '(drum-machine "m"\n' +
+        '  (arrangement :active 1 (track "k" kick :active 1 (pattern "x...")))\n' +
+        '  (arrangement "verse" (track "s" snare :active 1 (pattern "..x.")))\n' +
+        '  (arrangement (track "h" hat :active 1 (pattern "xxxx"))))';
+    const data = extract(source);
+    const ids = data.arrangements.map(arrangement => arrangement.id);
+    assert.deepStrictEqual(ids, ['arr_1', 'arr_name_verse', 'arr_3']);
+    const reparsed = extract(formatter.formatData(data));
+    assert.deepStrictEqual(reparsed.arrangements.map(arrangement => arrangement.id), ids);
+});
@@ -0,0 +1,456 @@
+// Timing math for drum machine playback, shared by the player and headless tools
+// Nothing here touches Tone.js or the browser, so it runs under plain Node
+
+// parser.js is a plain script in the browser and a module under Node
+const timelineParser = typeof parser !== 'undefined' ? parser : require('./parser.js');
+
+const timeline = {
+    ppq: 1920,                  // Transport ticks per quarter note, fine enough for any tuplet
+    ratchetDecay: 0.1,          // Note volume each ratchet repeat loses when :ratchet-decay is not given
+    meterAccent: 0.1,           // Note volume added to the first step of each beat group in meters of eighths
+
+    // Random number from 0 to 1, the same for the same seed and keys, or a new roll when there is no seed
+    random(seed, ...keys) {
+        if (seed === null || seed === undefined) {
+            return Math.random();
+        }
+
+        // FNV-1a hash of the seed and keys, then a final mix so neighbouring keys differ
+        const text = [seed, ...keys].join(':');
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        hash = Math.imul(hash ^ (hash >>> 15), 2246822507);
+        hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+        return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+    },
+
+    // Count a track's loops from the order its events fire in, updating loop { iteration, lastPosition }
+    loopIteration(loop, position) {
+        if (position <= loop.lastPosition) {
+            loop.iteration++;
+        }
+        loop.lastPosition = position;
+        return loop.iteration;
+    },
+
+    // Check a note's trig conditions (:every, :not-first, :prob) for one loop of its track
+    shouldTrigger(seed, trackId, event, iteration) {
+        if (event.every && iteration % event.every.cycle !== event.every.index - 1) {
+            return false;
+        }
+        if (event.notFirst && iteration === 0) {
+            return false;
+        }
+        if (event.prob !== undefined && this.random(seed, trackId, event.index, iteration) >= event.prob) {
+            return false;
+        }
+        return true;
+    },
+
+    // Offset in seconds and note volume of one hit after its millisecond :nudge and :humanize
+    humanize(seed, trackId, event, iteration) {
+        const spread = (amount, key) =>
+            amount ? (this.random(seed, trackId, event.index, event.repeat, iteration, key) * 2 - 1) * amount : 0;
+        return {
+            offset: event.nudge + spread(event.humanize, 'time') / 1000,
+            volume: (event.volume || 0) + spread(event.humanizeVolume, 'volume')
+        };
+    },
+
+    // Level in dB a hit plays at, from its note volume, its arrangement volume and the :volume of its track
+    decibels(noteVolume, event, trackVolume) {
+        return this.noteDecibels(noteVolume, event) + this.trackDecibels(trackVolume);
+    },
+
+    // Level in dB of a hit before its track's channel, from its note volume and arrangement volume
+    noteDecibels(noteVolume, event) {
+        // Scaled to a reasonable dB range (-40dB to +6dB)
+        return (noteVolume + (event.arrangementVolume / 10)) * 20;
+    },
+
+    // Gain in dB of a track's channel for its :volume (-10 to 10)
+    trackDecibels(volume) {
+        return (volume || 0) * 2;
+    },
+
+    // Length of a measure in quarter notes, e.g. 3 for 6/8
+    measureBeats(data) {
+        return (data.signature || 4) * 4 / (data.beatUnit || 4);
+    },
+
+    // Ticks into a measure where each of its beats starts, e.g. every dotted quarter in 6/8 and 2+2+3 eighths in 7/8
+    beatStarts(data) {
+        const beatUnit = data.beatUnit || 4;
+        const unitTicks = this.ppq * 4 / beatUnit;
+        const starts = [];
+        let start = 0;
+        timelineParser.meterGroups(data.signature || 4, beatUnit).forEach(group => {
+            starts.push(start * unitTicks);
+            start += group;
+        });
+        return starts;
+    },
+
+    /**
+     * Note volume a step gains for starting a beat group
+     * Only meters of eighths and shorter are accented, since their groups are what tells 6/8 from 3/4.
+     * @param {Object} data - Drum machine data with its signature
+     * @param {number} index - Step index in the track
+     * @param {number} notesPerMeasure - Steps per measure (the track's :time)
+     * @returns {number} meterAccent on the first step of a group, 0 elsewhere
+     */
+    groupAccent(data, index, notesPerMeasure) {
+        const signature = data.signature || 4;
+        const beatUnit = data.beatUnit || 4;
+        if (beatUnit <= 4) return 0;
+
+        // The step starts a group when its start, counted in beat units, is exactly a group's start
+        const step = index % notesPerMeasure;
+        let start = 0;
+        return timelineParser.meterGroups(signature, beatUnit).some(group => {
+            const starts = step * signature === start * notesPerMeasure;
+            start += group;
+            return starts;
+        }) ? this.meterAccent : 0;
+    },
+
+    /**
+     * Transport time of a step, from the exact fraction of the measure it starts on
+     * @param {number} index - Step index in the track
+     * @param {number} notesPerMeasure - Steps per measure (the track's :time)
+     * @param {number} beatsPerMeasure - Quarter notes per measure
+     * @param {number} offset - Groove offset in steps
+     * @param {number} nudgeTicks - Note nudge in ticks
+     * @returns {string} Time in transport ticks, such as "1280i"
+     */
+    stepTime(index, notesPerMeasure, beatsPerMeasure, offset = 0, nudgeTicks = 0) {
+        const ticksPerStep = beatsPerMeasure * this.ppq / notesPerMeasure;
+        return `${Math.max(0, Math.round((index + offset) * ticksPerStep + nudgeTicks))}i`;
+    },
+
+    // Position of a tempo map point in transport ticks, from "4m" or "4:2:0"
+    positionTicks(position, beatsPerMeasure) {
+        if (position.endsWith('m')) {
+            return Math.round(parseFloat(position) * beatsPerMeasure * this.ppq);
+        }
+        const [bars, beats, sixteenths = 0] = position.split(':').map(Number);
+        return Math.round((bars * beatsPerMeasure + beats + sixteenths / 4) * this.ppq);
+    },
+
+    /**
+     * Turn a tempo map into tempo changes at transport ticks
+     * A ramp glides from the point before it, or from the base tempo when it comes first.
+     * @param {Object[]} tempoMap - Points { position, bpm, ramp } from extractData
+     * @param {number} baseTempo - Tempo before the first point
+     * @param {number} beatsPerMeasure - Quarter notes per measure
+     * @returns {Object[]} Changes { ticks, bpm, rampTo, rampTicks } in order, where rampTo
+     *     is the tempo to glide to over the following rampTicks, or null to hold the tempo
+     */
+    tempoChanges(tempoMap, baseTempo, beatsPerMeasure) {
+        const points = tempoMap
+            .map(point => ({ ticks: this.positionTicks(point.position, beatsPerMeasure), bpm: point.bpm, ramp: point.ramp }))
+            .sort((a, b) => a.ticks - b.ticks);
+        if (points.length === 0 || points[0].ticks > 0) {
+            points.unshift({ ticks: 0, bpm: baseTempo, ramp: false });
+        }
+
+        return points.map((point, i) => {
+            const next = points[i + 1];
+            const ramps = next !== undefined && next.ramp;
+            return {
+                ticks: point.ticks,
+                bpm: point.bpm,
+                rampTo: ramps ? next.bpm : null,
+                rampTicks: ramps ? next.ticks - point.ticks : 0
+            };
+        });
+    },
+
+    // Seconds a linear tempo ramp takes to cover its ticks, at the average of the two tempos
+    rampSeconds(change) {
+        return 60 * change.rampTicks / (this.ppq * (change.bpm + change.rampTo) / 2);
+    },
+
+    /**
+     * Seconds from the start of a loop to a transport position in it
+     * Tempo ramps are linear in time, as Tone.js ramps the transport's bpm.
+     * @param {number} ticks - Position in transport ticks
+     * @param {Object[]} changes - Tempo changes from tempoChanges
+     * @returns {number} Time in seconds
+     */
+    ticksToSeconds(ticks, changes) {
+        let seconds = 0;
+        for (let i = 0; i < changes.length && changes[i].ticks < ticks; i++) {
+            const change = changes[i];
+            const next = changes[i + 1];
+            const span = Math.min(ticks, next ? next.ticks : Infinity) - change.ticks;
+            if (change.rampTo === null) {
+                seconds += 60 * span / (this.ppq * change.bpm);
+                continue;
+            }
+
+            // Ticks covered t seconds into a ramp are ppq / 60 * (bpm * t + slope * t^2 / 2), solved for t
+            const slope = (change.rampTo - change.bpm) / this.rampSeconds(change);
+            const target = 60 * span / this.ppq;
+            seconds += slope === 0 ?
+                target / change.bpm :
+                (Math.sqrt(change.bpm * change.bpm + 2 * slope * target) - change.bpm) / slope;
+        }
+        return seconds;
+    },
+
+    // Tempo changes an arrangement plays with, from its tempo map, the drum machine's or a single tempo
+    arrangementTempo(data, arrangement) {
+        const baseTempo = arrangement.tempo || data.tempo || 120;
+        const tempoMap = arrangement.tempoMap || data.tempoMap || [];
+        return this.tempoChanges(tempoMap, baseTempo, this.measureBeats(data));
+    },
+
+    // Length of an arrangement's loop in transport ticks
+    arrangementTicks(data, arrangement) {
+        return (arrangement.bars || 1) * this.measureBeats(data) * this.ppq;
+    },
+
+    // Length of a track's loop in bars, falling back to its arrangement's
+    trackBars(track, arrangement) {
+        return track.bars !== undefined ? track.bars : (arrangement.bars || 1);
+    },
+
+    /**
+     * Compile a track into the timed events its part plays
+     * Times are transport ticks ("1280i") inside the track's loop; trig conditions, humanize
+     * and millisecond nudges are carried on each event and applied when it fires.
+     * @param {Object} track - Track from extractData
+     * @param {Object} data - Drum machine data from extractData
+     * @param {Object} arrangement - The arrangement the track plays in
+     * @returns {Object[]} Events in step order, one per hit and ratchet repeat
+     */
+    compileTrack(track, data, arrangement) {
+        const events = [];
+
+        // Get track bars - this is the track's individual loop length
+        const trackBars = this.trackBars(track, arrangement);
+
+        // Calculate how many notes we can fit in the track based on bars and time signature
+        // time parameter represents subdivisions per measure
+        const beatsPerMeasure = this.measureBeats(data);
+        const notesPerMeasure = track.time || 16;
+        const totalNotes = notesPerMeasure * trackBars;
+
+        // Get arrangement volume (default to 0 if not specified)
+        // Track volume is left to the track's channel, so changing it leaves the events alone
+        const arrangementVolume = arrangement.volume || 0;
+
+        // Swing or groove of the track, falling back to the drum machine's
+        const grooveOffsets = timelineParser.grooveOffsets(track, data);
+
+        // Humanize amounts of the track, falling back to the drum machine's
+        const humanize = track.humanize !== undefined ? track.humanize : (data.humanize || 0);
+        const humanizeVolume = track.humanizeVolume !== undefined ? track.humanizeVolume : (data.humanizeVolume || 0);
+
+        // Convert notes to timed events
+        track.notes.forEach((note, index) => {
+            // Skip notes that exceed the track's length, which the parser warns about
+            if (index >= totalNotes) {
+                return;
+            }
+
+            if (note.active) {
+                const grooveOffset = grooveOffsets[index % grooveOffsets.length];
+                const nudgeTicks = note.nudge && note.nudge.unit === 'ticks' ? note.nudge.amount : 0;
+
+                // A ratchet fires the note several times, evenly spaced inside its step
+                const ratchet = note.ratchet || 1;
+                const ratchetDecay = note.ratchetDecay !== undefined ? note.ratchetDecay : this.ratchetDecay;
+                const accent = this.groupAccent(data, index, notesPerMeasure);
+                for (let repeat = 0; repeat < ratchet; repeat++) {
+                    // Calculate time in ticks from the time signature and track's time parameter
+                    const time = this.stepTime(index, notesPerMeasure, beatsPerMeasure, grooveOffset + repeat / ratchet, nudgeTicks);
+
+                    events.push({
+                        time,
+                        sample: track.sample,
+                        pitch: note.pitch || 0,
+                        volume: (note.volume || 0) + accent - repeat * ratchetDecay,
+                        arrangementVolume: arrangementVolume,
+                        // Add synth information if this is a synth track
+                        isSynth: track.isSynth || false,
+                        synthType: track.synthType || null,
+                        // Add duration for synth notes
+                        duration: note.duration,
+                        // Step index and trig conditions, checked on every loop
+                        index,
+                        prob: note.prob,
+                        every: note.every,
+                        notFirst: note.notFirst,
+                        // Millisecond nudge in seconds, and humanize amounts, applied on every hit
+                        nudge: note.nudge && note.nudge.unit === 'ms' ? note.nudge.amount / 1000 : 0,
+                        humanize,
+                        humanizeVolume,
+                        // Ratchet repeat, and where it falls in the track in steps
+                        repeat,
+                        position: index + repeat / ratchet
+                    });
+                }
+            }
+        });
+
+        return events;
+    },
+
+    // Ids that follow tracks when others are added, removed or reordered: the name and which track of that name it is
+    trackIds(tracks) {
+        const seen = new Map();
+        return tracks.map(track => {
+            const count = seen.get(track.name) || 0;
+            seen.set(track.name, count + 1);
+            return `${track.name}_${count}`;
+        });
+    },
+
+    // Arrangement a song entry plays, found by its name
+    songArrangement(data, entry) {
+        return data.arrangements.find(arr => arr.name === entry.name) || null;
+    },
+
+    /**
+     * Arrangement that plays a loop of playback: the song's entry for it, or the first active arrangement
+     * @param {Object} data - Drum machine data from extractData
+     * @param {number} loop - How many loops were played before it
+     * @returns {Object|null} The arrangement, or null once a song that doesn't loop is over
+     */
+    loopArrangement(data, loop) {
+        if (!data.song) {
+            return data.arrangements.find(arr => arr.active) || null;
+        }
+
+        const length = data.song.entries.reduce((sum, entry) => sum + entry.repeat, 0);
+        if (loop >= length && !data.song.loop) {
+            return null;
+        }
+        let remaining = loop % length;
+        const entry = data.song.entries.find(songEntry => (remaining -= songEntry.repeat) < 0);
+        return this.songArrangement(data, entry);
+    },
+
+    /**
+     * Compile every hit playback fires from the start
+     * Follows the player: each track loops over its own bars, the arrangement loops over
+     * its bars and replays its tempo map, a song moves on to its next arrangement at the
+     * end of a loop, and tracks that are off, muted or left out by a solo don't fire, nor do
+     * failed trig conditions. Probability
+     * and humanize only repeat from run to run with a :seed.
+     * @param {Object} data - Drum machine data from extractData
+     * @param {number} duration - Seconds of playback to compile, a finite number
+     * @returns {Object[]} Hits sorted by time, each { time, ticks, arrangement, track, trackId,
+     *     sample, synth, pitch, volume, duration, index, repeat } with time in seconds (after
+     *     nudge and humanize), ticks on the transport counting every loop, volume in dB and
+     *     duration as written on the note
+     */
+    compile(data, duration) {
+        const hits = [];
+        if (!data || !data.arrangements || !Number.isFinite(duration)) {
+            return hits;
+        }
+
+        const measureTicks = this.measureBeats(data) * this.ppq;
+        const trackLoops = new Map();
+        let previous = null;
+        let loopStart = { seconds: 0, ticks: 0 };
+
+        for (let loop = 0; loopStart.seconds < duration; loop++) {
+            const arrangement = this.loopArrangement(data, loop);
+            if (!arrangement) {
+                break;
+            }
+
+            // Loop counts start over with the parts of a new arrangement
+            if (arrangement !== previous) {
+                trackLoops.clear();
+                previous = arrangement;
+            }
+
+            // Data the parser would reject can have loops shorter than a tick that never end, so stop there
+            const loopTicks = this.arrangementTicks(data, arrangement);
+            if (!(loopTicks >= 1)) {
+                break;
+            }
+            const changes = this.arrangementTempo(data, arrangement);
+            const trackIds = this.trackIds(arrangement.tracks);
+            const soloed = arrangement.tracks.some(track => track.solo === true);
+
+            arrangement.tracks.forEach((track, trackIndex) => {
+                const trackId = trackIds[trackIndex];
+                const trackTicks = this.trackBars(track, arrangement) * measureTicks;
+                if (!(trackTicks >= 1)) {
+                    return;
+                }
+                if (!trackLoops.has(trackId)) {
+                    trackLoops.set(trackId, { iteration: 0, lastPosition: -1 });
+                }
+
+                // A part plays the events inside its loop, in time order
+                const events = this.compileTrack(track, data, arrangement)
+                    .map(event => ({ event, ticks: parseInt(event.time, 10) }))
+                    .filter(({ ticks }) => ticks < trackTicks)
+                    .sort((a, b) => a.ticks - b.ticks);
+
+                // Parts start over whenever the arrangement loops
+                for (let start = 0; start < loopTicks; start += trackTicks) {
+                    events.forEach(({ event, ticks }) => {
+                        const loopPosition = start + ticks;
+                        if (loopPosition >= loopTicks) {
+                            return;
+                        }
+
+                        // Loops are counted even while muted so conditions stay in step
+                        const iteration = this.loopIteration(trackLoops.get(trackId), event.position);
+                        const audible = track.active && track.mute !== true && (!soloed || track.solo === true);
+                        if (!audible || !this.shouldTrigger(data.seed, trackId, event, iteration)) {
+                            return;
+                        }
+
+                        const hit = this.humanize(data.seed, trackId, event, iteration);
+                        const time = loopStart.seconds + this.ticksToSeconds(loopPosition, changes) + hit.offset;
+                        if (time >= duration) {
+                            return;
+                        }
+                        hits.push({
+                            time: Math.max(0, time),
+                            ticks: loopStart.ticks + loopPosition,
+                            arrangement: arrangement.id,
+                            track: track.name,
+                            trackId,
+                            sample: event.isSynth ? null : event.sample,
+                            synth: event.isSynth ? event.synthType : null,
+                            pitch: event.pitch,
+                            volume: this.decibels(hit.volume, event, track.volume),
+                            duration: event.duration,
+                            index: event.index,
+                            repeat: event.repeat
+                        });
+                    });
+                }
+            });
+
+            // A tempo of 0 or below never reaches the loop's end
+            const nextSeconds = loopStart.seconds + this.ticksToSeconds(loopTicks, changes);
+            if (!(nextSeconds > loopStart.seconds)) {
+                break;
+            }
+            loopStart = {
+                seconds: nextSeconds,
+                ticks: loopStart.ticks + loopTicks
+            };
+        }
+
+        return hits.sort((a, b) => a.time - b.time || a.ticks - b.ticks);
+    }
+};
+
+// Export the timeline for use in other modules
+if (typeof module !== 'undefined') {
+    module.exports = timeline;
+}